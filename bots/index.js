@@ -0,0 +1,57 @@
+// ─── Bot Strategies ───────────────────────────────────────────────────────────
+// A strategy decides where a bot heads. It is a plain object:
+//
+//   target(view)   -> { x, y } | null    null hands the bot back to its built-in AI this time
+//   modes          optional list of modes it plays — other modes use the built-in AI
+//   description    optional one-liner shown in strategy listings
+//
+// target() runs on the bot's reaction ticks (see DIFFICULTY.reactionTicks). The
+// server still applies difficulty speed and mistakes, keeps the target inside
+// the arena and paths around walls. `view` is frozen:
+//
+//   mode, now, elapsedMs           elapsed time since the match started
+//   self                           this bot, as one of `players`
+//   prey                           target assigned by the zombie pack (a player or a decoy), else null
+//   players[]                      id, name, isBot, x, y, vx, vy (per tick), score,
+//                                  isIt, immune, isZombie, isTurning, isPatientZero, isFrozen, team
+//   powerups[]  { id, kind, x, y }     decoys[]  { id, ownerId, x, y, vx, vy, name, color }
+//   map         { id, name, walls }    difficulty { speed, accuracy, mistakeChance, reactionTicks }
+//   rng()       the room's seeded RNG — use it instead of Math.random so seeded matches replay
+//   canSee(a, b)   whether walls leave a clear line between two points
+//
+// Coordinates are arena percentages, 0–100. Built-ins live in this directory;
+// BOT_STRATEGY_DIR loads more at startup (one strategy per file, named by its
+// `name` export or the file name).
+
+const fs = require('fs');
+const path = require('path');
+
+const STRATEGY_NAME_RE = /^[a-z][A-Za-z0-9_-]{0,31}$/;
+const strategies = new Map();
+
+function registerStrategy(name, strategy) {
+  if (!STRATEGY_NAME_RE.test(name)) throw new Error(`Invalid bot strategy name: ${name}`);
+  if (strategies.has(name)) throw new Error(`Bot strategy already registered: ${name}`);
+  if (!strategy || typeof strategy.target!=='function') throw new Error(`Bot strategy ${name} has no target(view) function`);
+  if (strategy.modes!==undefined && !Array.isArray(strategy.modes)) throw new Error(`Bot strategy ${name}: modes must be an array`);
+  strategies.set(name, { name, description:strategy.description||'', modes:strategy.modes||null, target:strategy.target });
+}
+
+function getStrategy(name) { return strategies.get(name) || null; }
+
+function listStrategies() {
+  return Array.from(strategies.values()).map(({ name, description, modes }) => ({ name, description, modes }));
+}
+
+function loadStrategyDir(dir) {
+  fs.readdirSync(dir).filter(f=>f.endsWith('.js')).sort().forEach(f => {
+    try {
+      const mod = require(path.resolve(dir, f));
+      registerStrategy(mod.name || path.basename(f, '.js'), mod);
+    } catch (err) { throw new Error(`Loading bot strategy ${f}: ${err.message}`); }
+  });
+}
+
+Object.entries(require('./pack')).forEach(([name, strategy]) => registerStrategy(name, strategy));
+
+module.exports = { registerStrategy, getStrategy, listStrategies, loadStrategyDir };
@@ -0,0 +1,94 @@
+// ─── Zombie Pack ──────────────────────────────────────────────────────────────
+// The four roles assignZombieRoles hands out to bot zombies:
+//   chaser      — beelines directly at its human
+//   interceptor — predicts the human's velocity, targets ahead of them
+//   flanker     — approaches from the side (perpendicular to the human's movement)
+//   herder      — repositions to block the escape route / nearest wall or corner
+// Each aims at the human (or decoy) the pack picked (view.prey) with
+// accuracy-scaled noise. Picked as a bot's own strategy there's no pack, so it
+// goes after the nearest uninfected player instead. Only active zombies use them.
+
+const dist = (ax, ay, bx, by) => Math.sqrt((ax-bx)**2 + (ay-by)**2);
+
+// Aim error — up to ±5 for the sloppiest bots, none for perfect accuracy
+const noise = view => (view.rng()-.5)*(1-view.difficulty.accuracy)*10;
+
+function preyFor(view) {
+  const { self } = view;
+  if (!self.isZombie || self.isTurning) return null;
+  if (view.prey) return view.prey;
+  let nearest = null, nd = Infinity;
+  view.players.forEach(p => {
+    if (p.isZombie || p.isTurning) return;
+    const d = dist(p.x, p.y, self.x, self.y);
+    if (d<nd) { nd = d; nearest = p; }
+  });
+  return nearest;
+}
+
+// Where `p` will be in `ticks` game ticks (100ms each), kept off the very edge
+function predictPos(p, ticks) {
+  return {
+    x: Math.max(5, Math.min(95, p.x+p.vx*ticks)),
+    y: Math.max(5, Math.min(95, p.y+p.vy*ticks)),
+  };
+}
+
+const chaser = {
+  modes: ['zombie'],
+  description: 'Beelines at its target — no prediction, just relentless',
+  target(view) {
+    const t = preyFor(view);
+    return t && { x:t.x+noise(view), y:t.y+noise(view) };
+  },
+};
+
+const interceptor = {
+  modes: ['zombie'],
+  description: 'Heads for where its target will be in a couple of seconds',
+  target(view) {
+    const t = preyFor(view);
+    if (!t) return null;
+    const pred = predictPos(t, 18);
+    return { x:pred.x+noise(view), y:pred.y+noise(view) };
+  },
+};
+
+const flanker = {
+  modes: ['zombie'],
+  description: 'Comes at its target from the side',
+  target(view) {
+    const t = preyFor(view), { self } = view;
+    if (!t) return null;
+    const speed = Math.sqrt(t.vx**2 + t.vy**2);
+    if (speed<=0.1) return { x:t.x+noise(view), y:t.y+noise(view) };
+    const perpX = -t.vy/speed, perpY = t.vx/speed;
+    const sideA = { x:t.x+perpX*25, y:t.y+perpY*25 };
+    const sideB = { x:t.x-perpX*25, y:t.y-perpY*25 };
+    const side = dist(self.x, self.y, sideA.x, sideA.y)<dist(self.x, self.y, sideB.x, sideB.y) ? sideA : sideB;
+    return { x:side.x+noise(view), y:side.y+noise(view) };
+  },
+};
+
+const herder = {
+  modes: ['zombie'],
+  description: 'Cuts off the escape route instead of following from behind',
+  target(view) {
+    const t = preyFor(view), { self } = view;
+    if (!t) return null;
+    const candidates = [
+      { x:t.x>50 ? 95 : 5, y:t.y },                 // nearest side wall
+      { x:t.x,             y:t.y>50 ? 95 : 5 },     // nearest top/bottom wall
+      { x:t.x>50 ? 95 : 5, y:t.y>50 ? 95 : 5 },     // nearest corner
+    ];
+    // Prefer the spot we can reach before the human can change direction
+    let best = candidates[0], bestScore = Infinity;
+    candidates.forEach(w => {
+      const score = dist(self.x, self.y, w.x, w.y) - dist(t.x, t.y, w.x, w.y)*0.6;
+      if (score<bestScore) { bestScore = score; best = w; }
+    });
+    return { x:best.x+noise(view), y:best.y+noise(view) };
+  },
+};
+
+module.exports = { chaser, interceptor, flanker, herder };
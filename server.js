@@ -2,7 +2,10 @@ const WebSocket = require('ws');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const { getStrategy, listStrategies, loadStrategyDir } = require('./bots');
 
 const PORT = process.env.PORT || 8080;
 const TAG_DISTANCE_PCT = 8;
@@ -14,9 +17,69 @@ const COUNTDOWN_SECONDS = 3;
 const TAG_IMMUNITY_MS = 3000;
 const MAX_PLAYERS_CLASSIC = 12;
 const MAX_PLAYERS_ZOMBIE = 12;
-const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json');
+const TEAMS_GAME_DURATION_MS = 90000;
+const MAX_PLAYERS_TEAMS = 12;
+const FREEZE_GAME_DURATION_MS = 90000;
+const MAX_PLAYERS_FREEZE = 12;
+const FREEZE_PLAYERS_PER_CHASER = 4;
+const MAPS = require('./maps.json');
+const LEADERBOARD_FILE = path.join(__dirname, 'leaderboard.json'); // legacy — imported into storage on first run
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';   // 'json' | 'sqlite'
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const REPLAY_DIR = path.join(__dirname, 'replays');
+const MAX_REPLAYS = 200;
+const DELTA_PROTOCOL = 'cursor-tag.delta.v1'; // WebSocket subprotocol that opts into delta state
+const KEYFRAME_EVERY_TICKS = 30;
+const MAX_SPECTATORS = 20;
+const CHAT_MAX_LENGTH = 200;
+const CHAT_RATE_LIMIT = { count:5, windowMs:5000 };  // per player
+const EMOTE_RATE_LIMIT = { count:3, windowMs:3000 };
+// Comma-separated words to mask in chat, e.g. CHAT_FILTER_WORDS="darn,heck"
+const CHAT_FILTER_WORDS = (process.env.CHAT_FILTER_WORDS || '').split(',').map(w=>w.trim()).filter(Boolean);
 const ZOMBIE_SPEED_FACTOR = 0.7;
 const TURNING_SPEED_FACTOR = 0.4;
+const POWERUP_SPAWN_MS = 5000;       // default gap between pickup spawns
+const POWERUP_MAX_ON_FIELD = 3;
+const POWERUP_LIFETIME_MS = 12000;   // an uncollected pickup vanishes after this
+const POWERUP_PICKUP_PCT = 4;
+const SPEED_BOOST_FACTOR = 1.5;
+const DECOY_SPEED = 2.5;             // arena-% per tick
+const RESUME_GRACE_MS = 20000;
+const MAX_MESSAGE_BYTES = 8192;      // larger WebSocket frames close the socket
+const NAME_MAX_LENGTH = 20;
+const ROOM_CODE_RE = /^[A-Za-z0-9]{4,12}$/;  // also what a requested vanity code must match
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // generated codes skip 0/O and 1/I lookalikes
+const ROOM_CODE_LENGTH = 6;
+const ROOM_PASSWORD_MAX_LENGTH = 64;
+// Token buckets — `burst` tokens, refilled at `perSec`
+const RATE_LIMITS = {
+  move:       { burst:150, perSec:150 },  // per socket
+  message:    { burst:20,  perSec:5 },    // every other type, per socket
+  ip:         { burst:400, perSec:300 },  // everything from one address
+  createRoom: { burst:5,   perSec:0.1 },  // per address — createRoom and quickPlay
+  password:   { burst:10,  perSec:0.5 },  // per address — every join/spectate attempt on a locked room
+};
+const ABUSE_STRIKES = { count:50, windowMs:10000 };  // rejected messages before a socket is dropped
+const TRUST_PROXY = Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0); // proxies in front that append to X-Forwarded-For
+const BOT_STRATEGY_DIR = process.env.BOT_STRATEGY_DIR || null;  // extra bot strategies, see bots/index.js
+const SERIES_MAX_ROUNDS = 25;
+const QUICKPLAY_MIN_HUMANS = 2;      // matchmade lobbies start themselves once this many humans are in
+const QUICKPLAY_WAIT_MS = 10000;     // ...after this long, so stragglers can still get in
+const QUICKPLAY_FILL_TO = 6;         // bots top the lobby up to this many players
+const QUICKPLAY_MIN_HISTORY = 3;     // games before a player's record sways backfill or adaptive bot difficulty
+const ADAPTIVE_EVAL_MS = 5000;       // how often adaptive bots re-tune during a match
+const ADAPTIVE_STEP = 0.15;          // most an adaptive bot's skill moves per evaluation
+const ADAPTIVE_DEADZONE = 0.1;       // humans and bots this close in score leave skill alone
+const MAX_CURSOR_SPEED = 250;        // arena-% per second a human cursor may travel
+const MOVE_SLACK_PCT = 4;            // jitter allowance — a reserve moves can overdraw, not a per-move bonus
+const MOVE_SLACK_REFILL = 20;        // arena-% per second the jitter reserve refills
+const MOVE_MAX_ELAPSED_MS = 250;     // idle time beyond this doesn't bank extra distance
+const MOVE_VIOLATION_WINDOW_MS = 10000;
+const MOVE_VIOLATION_FLAG = 10;      // lifetime violations before a player is flagged
+const MOVE_VIOLATION_KICK = 25;      // violations inside the window before a kick
+const LAG_COMP_MAX_MS = 200;         // most a tag check will rewind for a lagging tagger
+const LAG_TRAIL_MS = 300;            // position history kept per player — the window plus a tick
+const LAG_SMOOTHING = 0.2;           // weight of each new move's lag in a player's running estimate
 
 const PLAYER_COLORS = [
   '#FF4B6E','#4BFFA5','#4B9FFF','#FFB74B',
@@ -24,61 +87,618 @@ const PLAYER_COLORS = [
   '#FF8C4B','#B4FF4B','#FF4BFF','#4BFFB4',
 ];
 
+const TEAMS = {
+  red:  { id:'red',  name:'Red',  color:'#FF4B6E' },
+  blue: { id:'blue', name:'Blue', color:'#4B9FFF' },
+};
+const GAME_MODES = ['classic','zombie','teams','freeze'];
+
+const EMOTES = {
+  wave:'👋', laugh:'😂', taunt:'😜', scared:'😱', cry:'😭', heart:'❤️', gg:'🤝', skull:'💀', fire:'🔥',
+};
+
 const BOT_NAMES = [
   'Dizzy','Cheddar','Glitch','Turbo','Biscuit','Noodle','Zapper','Pudding',
   'Chaos','Wobble','Socks','Blip','Frenzy','Mochi','Zigzag','Crispy',
   'Doodle','Sparky','Pickle','Waffles','Bonkers','Fizz','Peanut','Rascal',
 ];
 
+// Per-room overrides via setSettings — the constants above are the defaults
+const DEFAULT_SETTINGS = {
+  classicDurationMs: GAME_DURATION_MS,
+  zombieDurationMs:  ZOMBIE_GAME_DURATION_MS,
+  teamsDurationMs:   TEAMS_GAME_DURATION_MS,
+  freezeDurationMs:  FREEZE_GAME_DURATION_MS,
+  tagDistance:       TAG_DISTANCE_PCT,
+  zombieTagDistance: ZOMBIE_TAG_DISTANCE_PCT,
+  tagImmunityMs:     TAG_IMMUNITY_MS,
+  zombieTurningMs:   ZOMBIE_TURNING_MS,
+  countdownSeconds:  COUNTDOWN_SECONDS,
+  maxPlayersClassic: MAX_PLAYERS_CLASSIC,
+  maxPlayersZombie:  MAX_PLAYERS_ZOMBIE,
+  maxPlayersTeams:   MAX_PLAYERS_TEAMS,
+  maxPlayersFreeze:  MAX_PLAYERS_FREEZE,
+  powerupSpawnMs:    POWERUP_SPAWN_MS,   // 0 turns pickups off
+  requireReady:      false,              // startGame waits until every human but the host is ready
+};
+const SETTINGS_RANGES = {
+  classicDurationMs: { min:15000, max:10*60000 },
+  zombieDurationMs:  { min:10000, max:10*60000 },
+  teamsDurationMs:   { min:15000, max:10*60000 },
+  freezeDurationMs:  { min:15000, max:10*60000 },
+  tagDistance:       { min:2,     max:20 },
+  zombieTagDistance: { min:2,     max:15 },
+  tagImmunityMs:     { min:0,     max:10000 },
+  zombieTurningMs:   { min:0,     max:10000 },
+  countdownSeconds:  { min:1,     max:10,  integer:true },
+  maxPlayersClassic: { min:2,     max:MAX_PLAYERS_CLASSIC, integer:true },
+  maxPlayersZombie:  { min:2,     max:MAX_PLAYERS_ZOMBIE,  integer:true },
+  maxPlayersTeams:   { min:2,     max:MAX_PLAYERS_TEAMS,   integer:true },
+  maxPlayersFreeze:  { min:2,     max:MAX_PLAYERS_FREEZE,  integer:true },
+  powerupSpawnMs:    { min:0,     max:60000, integer:true },
+  requireReady:      { boolean:true },
+};
+
+// Pickup kinds — `modes` limits where they spawn; for a cure, durationMs is the grace period after reverting
+const POWERUPS = {
+  speed:  { durationMs:5000, modes:['classic','zombie'] },
+  shield: { durationMs:3000, modes:['classic','zombie'] },
+  decoy:  { durationMs:6000, modes:['classic','zombie'] },
+  cure:   { durationMs:2000, modes:['zombie'] },
+};
+
 const DIFFICULTY = {
   easy:   { speed: 1.2,  accuracy: 0.4,  mistakeChance: 0.25, reactionTicks: 8 },
   medium: { speed: 2.5,  accuracy: 0.7,  mistakeChance: 0.12, reactionTicks: 4 },
   hard:   { speed: 6.5,  accuracy: 1.0,  mistakeChance: 0.01, reactionTicks: 1 },
 };
+// 'adaptive' bots slide between the presets as the match goes — see adaptBots
+const BOT_DIFFICULTIES = [...Object.keys(DIFFICULTY), 'adaptive'];
 
 // ─── Leaderboard ──────────────────────────────────────────────────────────────
-function loadLeaderboard() {
-  try { if (fs.existsSync(LEADERBOARD_FILE)) return JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8')); } catch {}
-  return [];
+// One board per mode per window per UTC period ("classic:daily:2026-10-19").
+// Daily/weekly boards start over simply because the period in the key moves on.
+const LEADERBOARD_MODES = ['classic','zombie','teams','freeze'];
+const LEADERBOARD_WINDOWS = ['daily','weekly','allTime'];
+const LEADERBOARD_SORTS = {
+  classic: ['bestScore','wins','gamesPlayed'],
+  zombie:  ['bestScore','wins','gamesPlayed','survivals','infections','patientZeroWins'],
+  teams:   ['bestScore','wins','gamesPlayed','conversions','teamWins'],
+  freeze:  ['bestScore','wins','gamesPlayed','freezes','rescues'],
+};
+
+const store = createStorage({ backend:STORAGE_BACKEND, dir:DATA_DIR });
+
+function periodKey(window, now=new Date()) {
+  if (window==='daily') return now.toISOString().slice(0,10);
+  if (window==='weekly') {
+    // Monday (UTC) of the current week
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay()+6)%7));
+    return d.toISOString().slice(0,10);
+  }
+  return 'all';
+}
+
+function boardKey(mode, window, period=periodKey(window)) { return `${mode}:${window}:${period}`; }
+
+// Daily and weekly boards from past periods are never read again
+function isLiveBoard(board, now=new Date()) {
+  const [, window, period] = board.split(':');
+  return !LEADERBOARD_WINDOWS.includes(window) || period===periodKey(window, now);
+}
+
+// Pull an old leaderboard.json (bare array, or the per-mode/window object) into storage once
+function importLegacyLeaderboard() {
+  if (!fs.existsSync(LEADERBOARD_FILE)) return;
+  try {
+    const legacy = JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8'));
+    const boards = Array.isArray(legacy) ? { classic:{ allTime:{ period:'all', entries:legacy } } } : legacy;
+    store.transaction(() => {
+      Object.entries(boards).forEach(([mode, windows]) => Object.entries(windows).forEach(([window, b]) => {
+        (b.entries||[]).forEach(e => { if (!store.getLeaderboardEntry(boardKey(mode, window, b.period), e.name)) store.putLeaderboardEntry(boardKey(mode, window, b.period), e); });
+      }));
+    });
+    fs.renameSync(LEADERBOARD_FILE, LEADERBOARD_FILE+'.imported');
+    console.log(`Imported ${LEADERBOARD_FILE} into ${STORAGE_BACKEND} storage`);
+  } catch (err) { console.error('Legacy leaderboard import failed:', err.message); }
+}
+
+function applyLeaderboardResult(ex, p, mode, reason) {
+  ex.gamesPlayed=(ex.gamesPlayed||0)+1; ex.totalScore=(ex.totalScore||0)+p.score; ex.bestScore=Math.max(ex.bestScore||0,p.score); ex.wins=(ex.wins||0)+(p.rank===1?1:0);
+  if (mode==='zombie') {
+    ex.survivals=(ex.survivals||0)+(p.isSurvivor?1:0);
+    ex.infections=(ex.infections||0)+(p.infectCount||0);
+    ex.patientZeroWins=(ex.patientZeroWins||0)+(p.isPatientZero&&reason==='allInfected'?1:0);
+  }
+  if (mode==='teams') {
+    ex.conversions=(ex.conversions||0)+(p.tagsMade||0);
+    ex.teamWins=(ex.teamWins||0)+(p.onWinningTeam?1:0);
+  }
+  if (mode==='freeze') {
+    ex.freezes=(ex.freezes||0)+(p.isIt?p.tagsMade||0:0);
+    ex.rescues=(ex.rescues||0)+(p.rescues||0);
+  }
 }
-function saveLeaderboard(e) { try { fs.writeFileSync(LEADERBOARD_FILE, JSON.stringify(e, null, 2)); } catch {} }
-function updateLeaderboard(players) {
-  const board = loadLeaderboard();
+
+function updateLeaderboard(players, mode='classic', reason=null) {
+  LEADERBOARD_WINDOWS.forEach(window => {
+    const board = boardKey(mode, window);
+    players.filter(p => !p.isBot).forEach(p => {
+      const ex = store.getLeaderboardEntry(board, p.name) || { name:p.name };
+      applyLeaderboardResult(ex, p, mode, reason);
+      store.putLeaderboardEntry(board, ex);
+    });
+  });
+}
+
+function updateProfiles(players, mode, now) {
   players.filter(p => !p.isBot).forEach(p => {
-    const ex = board.find(e => e.name.toLowerCase() === p.name.toLowerCase());
-    if (ex) { ex.gamesPlayed=(ex.gamesPlayed||0)+1; ex.totalScore=(ex.totalScore||0)+p.score; ex.bestScore=Math.max(ex.bestScore||0,p.score); ex.wins=(ex.wins||0)+(p.rank===1?1:0); }
-    else board.push({ name:p.name, gamesPlayed:1, totalScore:p.score, bestScore:p.score, wins:p.rank===1?1:0 });
+    const prof = store.getProfile(p.name) || { name:p.name, firstSeenAt:now, gamesPlayed:0, wins:0, gamesByMode:{} };
+    prof.name = p.name; prof.lastSeenAt = now;
+    prof.gamesPlayed++; prof.wins += p.rank===1?1:0;
+    prof.gamesByMode[mode] = (prof.gamesByMode[mode]||0)+1;
+    store.putProfile(prof);
+  });
+}
+
+// Leaderboards, profiles, achievements and match history for one finished match,
+// written together — returns the achievements it unlocked (see announceAchievements)
+function recordMatchResults(room, scored, mode, reason=null) {
+  if (room.headless) return [];
+  const now = room.clock.now();
+  const bots = Array.from(room.players.values()).filter(p=>p.isBot).map(p=>p.difficulty);
+  let unlocked = [];
+  try {
+    store.transaction(() => {
+      updateLeaderboard(scored, mode, reason);
+      store.pruneLeaderboards(isLiveBoard);
+      updateProfiles(scored, mode, now);
+      unlocked = updateAchievements(scored, { mode, reason, bots }, now);
+      store.addMatch({
+        matchId: room.replay ? room.replay.matchId : uuidv4(), roomCode: room.code, mode, reason,
+        startedAt: room.gameStartTime, endedAt: now,
+        players: scored.map(p=>({ name:p.name, isBot:p.isBot, score:p.score, rank:p.rank, award:p.award?p.award.title:null })),
+      });
+    });
+  } catch (err) { console.error('Failed to record match results:', err.message); return []; }
+  return unlocked;
+}
+
+// Shared by GET /api/leaderboard and the getLeaderboard message
+function queryLeaderboard({ mode, window, sort, limit=20, offset=0 }) {
+  mode = LEADERBOARD_MODES.includes(mode) ? mode : 'classic';
+  window = LEADERBOARD_WINDOWS.includes(window) ? window : 'allTime';
+  sort = LEADERBOARD_SORTS[mode].includes(sort) ? sort : 'bestScore';
+  const period = periodKey(window);
+  const { total, entries } = store.listLeaderboard(boardKey(mode, window, period), { sort, limit, offset });
+  return { mode, window, period, sort, limit, offset, total, entries: entries.map((e,i)=>({ rank:offset+i+1, ...e })) };
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+// Returns { settings } with the merged result, or { error } naming the first bad key
+function validateSettings(current, patch) {
+  if (!patch || typeof patch!=='object') return { error:'Invalid settings' };
+  const next = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    if (!Object.hasOwn(SETTINGS_RANGES, key)) return { error:`Unknown setting: ${key}` };
+    const range = SETTINGS_RANGES[key];
+    if (range.boolean) {
+      if (typeof value!=='boolean') return { error:`${key} must be true or false` };
+      next[key] = value;
+      continue;
+    }
+    if (typeof value!=='number' || !Number.isFinite(value) || value<range.min || value>range.max || (range.integer && !Number.isInteger(value)))
+      return { error:`${key} must be ${range.integer?'an integer':'a number'} between ${range.min} and ${range.max}` };
+    next[key] = value;
+  }
+  return { settings: next };
+}
+
+function maxPlayers(room, mode=room.mode) {
+  if (mode==='teams') return room.settings.maxPlayersTeams;
+  if (mode==='freeze') return room.settings.maxPlayersFreeze;
+  return mode==='zombie' ? room.settings.maxPlayersZombie : room.settings.maxPlayersClassic;
+}
+
+// ─── Arena Maps ───────────────────────────────────────────────────────────────
+// Maps live in maps.json as axis-aligned rects {x,y,w,h} or convex polygons
+// {points:[[x,y],...]} on the 0–100 arena. Each is compiled once into polygons
+// plus a coarse grid (walls inflated by BOT_WALL_MARGIN) that bots path over.
+const DEFAULT_MAP_ID = 'open';
+const CURSOR_RADIUS = 1.5;     // how far a cursor is kept off a wall
+const NAV_CELL = 2;            // nav grid cell size in arena-%
+const NAV_SIZE = 100 / NAV_CELL;
+const BOT_WALL_MARGIN = 2.5;
+
+function wallPolygon(w) {
+  return w.points ? w.points.map(([x,y])=>({x,y})) : [{x:w.x,y:w.y},{x:w.x+w.w,y:w.y},{x:w.x+w.w,y:w.y+w.h},{x:w.x,y:w.y+w.h}];
+}
+
+function pointInPolygon(poly, x, y) {
+  let sign = 0;
+  for (let i=0; i<poly.length; i++) {
+    const a = poly[i], b = poly[(i+1)%poly.length];
+    const cross = (b.x-a.x)*(y-a.y) - (b.y-a.y)*(x-a.x);
+    if (cross===0) continue;
+    if (sign===0) sign = Math.sign(cross);
+    else if (Math.sign(cross)!==sign) return false;
+  }
+  return true;
+}
+
+function closestOnSegment(a, b, x, y) {
+  const dx = b.x-a.x, dy = b.y-a.y, len2 = dx*dx+dy*dy;
+  const t = len2>0 ? Math.max(0, Math.min(1, ((x-a.x)*dx+(y-a.y)*dy)/len2)) : 0;
+  return { x:a.x+dx*t, y:a.y+dy*t };
+}
+
+function closestOnPolygon(poly, x, y) {
+  let best = null, bd = Infinity;
+  for (let i=0; i<poly.length; i++) {
+    const c = closestOnSegment(poly[i], poly[(i+1)%poly.length], x, y);
+    const d = dist2(c.x, c.y, x, y);
+    if (d<bd) { bd = d; best = c; }
+  }
+  return { point:best, dist:bd };
+}
+
+// Fraction t (0–1) along p1→p2 where it crosses q1→q2, or null
+function segmentIntersection(p1, p2, q1, q2) {
+  const rx = p2.x-p1.x, ry = p2.y-p1.y, sx = q2.x-q1.x, sy = q2.y-q1.y;
+  const denom = rx*sy - ry*sx;
+  if (denom===0) return null;
+  const t = ((q1.x-p1.x)*sy - (q1.y-p1.y)*sx) / denom;
+  const u = ((q1.x-p1.x)*ry - (q1.y-p1.y)*rx) / denom;
+  return t>=0 && t<=1 && u>=0 && u<=1 ? t : null;
+}
+
+// Earliest t at which the segment enters any wall, or null if it's clear
+function firstWallHit(arena, ax, ay, bx, by) {
+  const a = {x:ax,y:ay}, b = {x:bx,y:by};
+  let first = null;
+  arena.walls.forEach(w => {
+    if (Math.max(ax,bx)<w.minX || Math.min(ax,bx)>w.maxX || Math.max(ay,by)<w.minY || Math.min(ay,by)>w.maxY) return;
+    for (let i=0; i<w.poly.length; i++) {
+      const t = segmentIntersection(a, b, w.poly[i], w.poly[(i+1)%w.poly.length]);
+      if (t!==null && (first===null || t<first)) first = t;
+    }
+  });
+  return first;
+}
+
+function lineOfSight(arena, ax, ay, bx, by) {
+  return arena.walls.length===0 || firstWallHit(arena, ax, ay, bx, by)===null;
+}
+
+function hasLineOfSight(room, a, b) { return lineOfSight(room.arena, a.x, a.y, b.x, b.y); }
+
+// Move from (fx,fy) toward (tx,ty) without passing through or ending inside a wall
+function resolveMove(arena, fx, fy, tx, ty) {
+  let x = tx, y = ty;
+  const hit = firstWallHit(arena, fx, fy, tx, ty);
+  if (hit!==null) {
+    const len = dist2(fx, fy, tx, ty), back = len>0 ? Math.min(hit, CURSOR_RADIUS/len) : 0;
+    x = fx + (tx-fx)*(hit-back); y = fy + (ty-fy)*(hit-back);
+  }
+  arena.walls.forEach(w => {
+    if (x<w.minX-CURSOR_RADIUS || x>w.maxX+CURSOR_RADIUS || y<w.minY-CURSOR_RADIUS || y>w.maxY+CURSOR_RADIUS) return;
+    const inside = pointInPolygon(w.poly, x, y);
+    const { point, dist } = closestOnPolygon(w.poly, x, y);
+    if (!inside && dist>=CURSOR_RADIUS) return;
+    // Push out along the edge normal to CURSOR_RADIUS clearance
+    let nx = x-point.x, ny = y-point.y;
+    const nl = Math.sqrt(nx*nx+ny*ny);
+    if (nl<1e-6) { nx = point.x-w.cx; ny = point.y-w.cy; } else if (inside) { nx = -nx; ny = -ny; }
+    const l = Math.sqrt(nx*nx+ny*ny) || 1;
+    x = point.x + nx/l*CURSOR_RADIUS; y = point.y + ny/l*CURSOR_RADIUS;
+  });
+  return { x:Math.max(0, Math.min(100, x)), y:Math.max(0, Math.min(100, y)) };
+}
+
+function compileArena(id, def) {
+  const walls = def.walls.map(w => {
+    const poly = wallPolygon(w);
+    const xs = poly.map(p=>p.x), ys = poly.map(p=>p.y);
+    return { poly, minX:Math.min(...xs), maxX:Math.max(...xs), minY:Math.min(...ys), maxY:Math.max(...ys),
+      cx:xs.reduce((a,b)=>a+b,0)/xs.length, cy:ys.reduce((a,b)=>a+b,0)/ys.length };
+  });
+  const blocked = new Uint8Array(NAV_SIZE*NAV_SIZE);
+  for (let gy=0; gy<NAV_SIZE; gy++) for (let gx=0; gx<NAV_SIZE; gx++) {
+    const x = (gx+0.5)*NAV_CELL, y = (gy+0.5)*NAV_CELL;
+    blocked[gy*NAV_SIZE+gx] = walls.some(w => pointInPolygon(w.poly, x, y) || closestOnPolygon(w.poly, x, y).dist<BOT_WALL_MARGIN) ? 1 : 0;
+  }
+  return { id, name:def.name, def, walls, blocked };
+}
+
+const ARENAS = new Map(Object.entries(MAPS).map(([id, def]) => [id, compileArena(id, def)]));
+
+// What clients get in gameStarted / mapChanged
+function publicMap(arena) { return { id:arena.id, name:arena.def.name, walls:arena.def.walls }; }
+function listMaps() { return Array.from(ARENAS.values()).map(a=>({ id:a.id, name:a.name, wallCount:a.walls.length })); }
+
+// ─── Bot Pathfinding ──────────────────────────────────────────────────────────
+const navCell = v => Math.max(0, Math.min(NAV_SIZE-1, Math.floor(v/NAV_CELL)));
+const navCenter = c => (c+0.5)*NAV_CELL;
+
+// Walk the segment in half-cell steps over the inflated grid
+function navClear(arena, ax, ay, bx, by) {
+  const steps = Math.ceil(dist2(ax, ay, bx, by)/(NAV_CELL/2));
+  for (let i=0; i<=steps; i++) {
+    const t = steps ? i/steps : 0;
+    if (arena.blocked[navCell(ay+(by-ay)*t)*NAV_SIZE+navCell(ax+(bx-ax)*t)]) return false;
+  }
+  return true;
+}
+
+// Nearest unblocked cell by breadth-first search outward from (x,y)
+function nearestOpenCell(arena, x, y) {
+  const start = navCell(y)*NAV_SIZE+navCell(x);
+  if (!arena.blocked[start]) return start;
+  const seen = new Uint8Array(NAV_SIZE*NAV_SIZE), queue = [start];
+  seen[start] = 1;
+  while (queue.length) {
+    const c = queue.shift(), cx = c%NAV_SIZE, cy = (c-cx)/NAV_SIZE;
+    if (!arena.blocked[c]) return c;
+    [[1,0],[-1,0],[0,1],[0,-1]].forEach(([dx,dy]) => {
+      const nx = cx+dx, ny = cy+dy, n = ny*NAV_SIZE+nx;
+      if (nx>=0 && ny>=0 && nx<NAV_SIZE && ny<NAV_SIZE && !seen[n]) { seen[n] = 1; queue.push(n); }
+    });
+  }
+  return start;
+}
+
+// A* over the nav grid (8-way, no corner cutting). Returns waypoints, last one at the goal.
+function findPath(arena, sx, sy, gx, gy) {
+  const start = nearestOpenCell(arena, sx, sy), goal = nearestOpenCell(arena, gx, gy);
+  const n = NAV_SIZE*NAV_SIZE, g = new Float64Array(n).fill(Infinity), from = new Int32Array(n).fill(-1), closed = new Uint8Array(n);
+  const gxc = goal%NAV_SIZE, gyc = (goal-gxc)/NAV_SIZE;
+  const h = c => { const x = c%NAV_SIZE, y = (c-x)/NAV_SIZE, dx = Math.abs(x-gxc), dy = Math.abs(y-gyc); return Math.max(dx,dy)+(Math.SQRT2-1)*Math.min(dx,dy); };
+  const heap = [];
+  const push = (c, f) => { heap.push([f,c]); let i = heap.length-1; while (i>0) { const p = (i-1)>>1; if (heap[p][0]<=heap[i][0]) break; [heap[p],heap[i]] = [heap[i],heap[p]]; i = p; } };
+  const pop = () => { const top = heap[0], last = heap.pop(); if (heap.length) { heap[0] = last; let i = 0; for (;;) { const l = 2*i+1, r = l+1; let m = i; if (l<heap.length && heap[l][0]<heap[m][0]) m = l; if (r<heap.length && heap[r][0]<heap[m][0]) m = r; if (m===i) break; [heap[m],heap[i]] = [heap[i],heap[m]]; i = m; } } return top[1]; };
+  g[start] = 0; push(start, h(start));
+  while (heap.length) {
+    const c = pop();
+    if (closed[c]) continue;
+    if (c===goal) break;
+    closed[c] = 1;
+    const cx = c%NAV_SIZE, cy = (c-cx)/NAV_SIZE;
+    for (let dy=-1; dy<=1; dy++) for (let dx=-1; dx<=1; dx++) {
+      if (!dx && !dy) continue;
+      const nx = cx+dx, ny = cy+dy;
+      if (nx<0 || ny<0 || nx>=NAV_SIZE || ny>=NAV_SIZE) continue;
+      const nc = ny*NAV_SIZE+nx;
+      if (arena.blocked[nc] || closed[nc]) continue;
+      if (dx && dy && (arena.blocked[cy*NAV_SIZE+nx] || arena.blocked[ny*NAV_SIZE+cx])) continue;
+      const ng = g[c] + (dx && dy ? Math.SQRT2 : 1);
+      if (ng<g[nc]) { g[nc] = ng; from[nc] = c; push(nc, ng+h(nc)); }
+    }
+  }
+  if (start!==goal && from[goal]===-1) return [{ x:gx, y:gy }];
+  const path = [];
+  for (let c = goal; c!==start && c!==-1; c = from[c]) { const x = c%NAV_SIZE; path.push({ x:navCenter(x), y:navCenter((c-x)/NAV_SIZE) }); }
+  path.reverse();
+  if (!arena.blocked[navCell(gy)*NAV_SIZE+navCell(gx)]) path.push({ x:gx, y:gy });
+  return path;
+}
+
+// Where a bot should steer this tick to reach botTargetX/Y around the walls
+function nextWaypoint(bot, arena) {
+  const gx = bot.botTargetX, gy = bot.botTargetY;
+  if (navClear(arena, bot.x, bot.y, gx, gy)) { bot.path = []; return { x:gx, y:gy }; }
+  // Replan when the goal has drifted or the plan is getting stale
+  if (!bot.path.length || dist2(gx, gy, bot.pathGoalX, bot.pathGoalY)>4 || ++bot.pathAge>20) {
+    bot.path = findPath(arena, bot.x, bot.y, gx, gy);
+    bot.pathGoalX = gx; bot.pathGoalY = gy; bot.pathAge = 0;
+  }
+  while (bot.path.length>1 && dist2(bot.x, bot.y, bot.path[0].x, bot.path[0].y)<1.5) bot.path.shift();
+  while (bot.path.length>1 && navClear(arena, bot.x, bot.y, bot.path[1].x, bot.path[1].y)) bot.path.shift();
+  return bot.path[0] || { x:gx, y:gy };
+}
+
+// Random open cell centre at least `margin` in from the arena edge
+function randomOpenSpot(arena, rng, margin=0) {
+  let x, y;
+  do {
+    const c = Math.floor(rng()*NAV_SIZE*NAV_SIZE);
+    if (arena.blocked[c]) continue;
+    x = navCenter(c%NAV_SIZE); y = navCenter(Math.floor(c/NAV_SIZE));
+  } while (x===undefined || x<margin || x>100-margin || y<margin || y>100-margin);
+  return { x, y };
+}
+
+// Relocate anyone spawned inside a wall to a random open spot
+function placeOutsideWalls(room) {
+  const arena = room.arena;
+  if (!arena.walls.length) return;
+  room.players.forEach(p => {
+    if (!arena.blocked[navCell(p.y)*NAV_SIZE+navCell(p.x)]) return;
+    const at = randomOpenSpot(arena, room.rng);
+    p.x = p.prevX = at.x; p.y = p.prevY = at.y;
   });
-  board.sort((a,b) => b.bestScore-a.bestScore);
-  saveLeaderboard(board.slice(0,100));
+}
+
+// ─── Movement Validation ──────────────────────────────────────────────────────
+// Caps a human move to what MAX_CURSOR_SPEED allows since their last move, plus
+// whatever is left of the MOVE_SLACK_PCT reserve (so flooding moves doesn't
+// multiply the jitter allowance). Returns 'ignored' for junk input, 'clamped'
+// for impossible jumps, 'ok' otherwise.
+function applyMove(player, x, y, now, countdown=false) {
+  if (typeof x!=='number' || typeof y!=='number' || !Number.isFinite(x) || !Number.isFinite(y)) return 'ignored';
+  x = Math.max(0, Math.min(100, x)); y = Math.max(0, Math.min(100, y));
+  // First move during the countdown sets the baseline — the client's cursor can be
+  // anywhere relative to the server-side spawn point. Once the round is playing,
+  // startRound has already pinned the baseline to wherever the player stands
+  if (player.lastMoveTime===null) {
+    if (!countdown) return 'ignored';
+    player.x = x; player.y = y; player.lastMoveTime = now; player.moveSlack = MOVE_SLACK_PCT;
+    return 'ok';
+  }
+  const elapsed = Math.min(MOVE_MAX_ELAPSED_MS, Math.max(0, now-player.lastMoveTime));
+  const boost = player.speedUntil>now ? SPEED_BOOST_FACTOR : 1;
+  const budget = MAX_CURSOR_SPEED*boost*(elapsed/1000);
+  player.moveSlack = Math.min(MOVE_SLACK_PCT, player.moveSlack + MOVE_SLACK_REFILL*(elapsed/1000));
+  const allowed = budget + player.moveSlack;
+  const dx = x-player.x, dy = y-player.y, d = Math.sqrt(dx*dx+dy*dy);
+  player.lastMoveTime = now;
+  if (d<=allowed) { player.x = x; player.y = y; player.moveSlack -= Math.max(0, d-budget); return 'ok'; }
+  player.x += (dx/d)*allowed; player.y += (dy/d)*allowed; player.moveSlack = 0;
+  recordMoveViolation(player, now);
+  return 'clamped';
+}
+
+function recordMoveViolation(player, now) {
+  player.moveViolations++;
+  player.recentViolations.push(now);
+  while (player.recentViolations.length && now-player.recentViolations[0]>MOVE_VIOLATION_WINDOW_MS) player.recentViolations.shift();
+  if (!player.flagged && player.moveViolations>=MOVE_VIOLATION_FLAG) {
+    player.flagged = true;
+    console.warn(`Player ${player.name} (${player.id}) flagged for movement violations`);
+  }
+}
+
+// ─── Lag Compensation ─────────────────────────────────────────────────────────
+// gameState carries serverTime, and clients stamp each move with the serverTime
+// of the state on screen when they made it. The gap is how far behind the
+// mover's view is; tag checks rewind the other player by that much (at most
+// LAG_COMP_MAX_MS) so a tag counts when it connects on the tagger's screen.
+// Moves without a stamp, and bots, get no compensation.
+
+function noteViewLag(player, t, now) {
+  if (typeof t!=='number' || !Number.isFinite(t)) return;
+  const lag = Math.max(0, Math.min(LAG_COMP_MAX_MS, now-t));
+  player.viewLag = player.viewLag===null ? lag : player.viewLag*(1-LAG_SMOOTHING) + lag*LAG_SMOOTHING;
+}
+
+// Called every tick and on every human move
+function recordTrail(p, now) {
+  const last = p.trail[p.trail.length-1];
+  if (last && last.t===now) { last.x = p.x; last.y = p.y; }
+  else p.trail.push({ t:now, x:p.x, y:p.y });
+  while (p.trail.length>1 && now-p.trail[1].t>=LAG_TRAIL_MS) p.trail.shift();
+}
+
+// Interpolated from the trail; the oldest sample stands in for anything before it
+function positionAt(p, t) {
+  const trail = p.trail;
+  if (!trail.length || t>=trail[trail.length-1].t) return { x:p.x, y:p.y };
+  if (t<=trail[0].t) return { x:trail[0].x, y:trail[0].y };
+  let i = trail.length-2;
+  while (trail[i].t>t) i--;
+  const a = trail[i], b = trail[i+1], k = (t-a.t)/(b.t-a.t);
+  return { x:a.x+(b.x-a.x)*k, y:a.y+(b.y-a.y)*k };
+}
+
+// Whether `tagger` reached `target` as the tagger saw it — returns the positions
+// that decided it (for the tag broadcast), or null
+function tagContact(room, tagger, target, now, range) {
+  const rewindMs = tagger.isBot ? 0 : Math.round(tagger.viewLag||0);
+  const at = rewindMs ? positionAt(target, now-rewindMs) : { x:target.x, y:target.y };
+  if (dist2(tagger.x, tagger.y, at.x, at.y)>=range || !lineOfSight(room.arena, tagger.x, tagger.y, at.x, at.y)) return null;
+  const round = v => Math.round(v*10)/10;
+  return { tagger:{ x:round(tagger.x), y:round(tagger.y) }, target:{ x:round(at.x), y:round(at.y) }, rewindMs };
+}
+
+// ─── Clock & RNG ──────────────────────────────────────────────────────────────
+// Match code reads the time from room.clock and draws randomness from room.rng.
+// Live rooms run on the wall clock; a headless match swaps in a virtual clock
+// that jumps straight to the next timer, so it runs as fast as the CPU allows.
+
+// mulberry32 — small, fast and plenty for gameplay
+function createRng(seed) {
+  let a = seed>>>0;
+  return () => {
+    a = (a+0x6D2B79F5)>>>0;
+    let t = Math.imul(a^(a>>>15), a|1);
+    t ^= t+Math.imul(t^(t>>>7), t|61);
+    return ((t^(t>>>14))>>>0)/4294967296;
+  };
+}
+
+const randomSeed = () => crypto.randomInt(2**31);
+const randomHex = rng => Math.floor(rng()*2**32).toString(16).padStart(8, '0');
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearTimeout: t => clearTimeout(t),
+  clearInterval: t => clearInterval(t),
+};
+
+// Timers due at the same moment fire in the order they were scheduled
+function createVirtualClock(start) {
+  let t = start, seq = 0;
+  const timers = new Set();
+  const schedule = (fn, ms, every) => {
+    const timer = { fn, at:t+Math.max(0, ms||0), every, seq:seq++ };
+    timers.add(timer);
+    return timer;
+  };
+  const cancel = timer => { timers.delete(timer); };
+  return {
+    now: () => t,
+    setTimeout: (fn, ms) => schedule(fn, ms, 0),
+    setInterval: (fn, ms) => schedule(fn, ms, Math.max(1, ms||0)),
+    clearTimeout: cancel, clearInterval: cancel,
+    // Fire timers in order until done() holds — false if nothing was left to run first
+    run(done) {
+      while (!done()) {
+        let next = null;
+        timers.forEach(tm => { if (!next || tm.at<next.at || (tm.at===next.at && tm.seq<next.seq)) next = tm; });
+        if (!next) return false;
+        t = next.at;
+        if (next.every) { next.at += next.every; next.seq = seq++; } else timers.delete(next);
+        next.fn();
+      }
+      return true;
+    },
+  };
 }
 
 // ─── State ────────────────────────────────────────────────────────────────────
 const rooms = new Map();
 const clientToRoom = new Map();
 const clientToPlayer = new Map();
+const clientToSpectator = new Map();
 
-function makePlayer(id, name, color, ws, isBot=false, difficulty=null) {
+const emptyPickups = () => Object.fromEntries(Object.keys(POWERUPS).map(k=>[k,0]));
+const spawnPoint = rng => ({ x:20+rng()*60, y:20+rng()*60, botWanderAngle:rng()*Math.PI*2 });
+
+function makePlayer(rng, id, name, color, ws, isBot=false, difficulty=null) {
   return {
-    id, name, color, ws, isBot, difficulty: difficulty||null,
-    x: 20+Math.random()*60, y: 20+Math.random()*60, prevX: 50, prevY: 50,
+    id, name, color, ws, isBot, difficulty: difficulty||null, strategy:null,
+    ...spawnPoint(rng), prevX: 50, prevY: 50,
     isIt:false, immune:false, immuneUntil:0,
     timeNotIt:0, tagsMade:0, fastestTag:null, becameItAt:null, wasEverIt:false,
     timesTagged:0, lastTaggerId:null, retags:0, totalDistance:0,
     cornerTime:0, edgeTime:0, itStreaks:[], currentItStart:null,
-    opportunistTags:0, lastMoveTime:null, trackingActive:false,
+    opportunistTags:0, lastMoveTime:null, moveSlack:MOVE_SLACK_PCT, trackingActive:false, trail:[], viewLag:null,
     isZombie:false, isTurning:false, turningUntil:0,
     infectCount:0, infectedBy:null, infectedAt:null,
     eliminationRank:null, isPatientZero:false,
+    // teams — lobbyTeam is the lobby pick, team is where conversions have moved them
+    team:null, lobbyTeam:null, startTeam:null, stepX:0, stepY:0,
+    isFrozen:false, frozenAt:null, frozenTime:0, longestFrozen:0, timesFrozen:0, rescues:0,
+    speedUntil:0, pickups:emptyPickups(),
     botTargetX:50, botTargetY:50, botTickCounter:0,
-    botWanderAngle: Math.random()*Math.PI*2,
+    skill:null,  // adaptive bots only — 0 (easy) … 1 (hard), kept across rounds
+    path:[], pathGoalX:50, pathGoalY:50, pathAge:0,
     // velocity tracking for AI (smoothed rolling average)
     vx:0, vy:0,
     posHistory: [],  // last 5 positions for smoothed velocity
+    // session resume — token lets a fresh socket reclaim this slot after a drop
+    resumeToken: isBot ? null : uuidv4(), disconnected:false, disconnectTimer:null,
+    // anti-teleport — survives resetPlayer so repeat offenders stay flagged across rounds
+    moveViolations:0, recentViolations:[], flagged:false,
+    // chat — muted is host-controlled and survives resetPlayer
+    chatTimes:[], emoteTimes:[], muted:false,
+    ready:isBot,
   };
 }
 
-function resetPlayer(p) {
+function resetPlayer(p, rng) {
   Object.assign(p, {
     isIt:false, immune:false, immuneUntil:0,
     timeNotIt:0, tagsMade:0, fastestTag:null, becameItAt:null, wasEverIt:false,
@@ -88,73 +708,335 @@ function resetPlayer(p) {
     isZombie:false, isTurning:false, turningUntil:0,
     infectCount:0, infectedBy:null, infectedAt:null,
     eliminationRank:null, isPatientZero:false,
-    x:20+Math.random()*60, y:20+Math.random()*60,
-    botTickCounter:0, botWanderAngle:Math.random()*Math.PI*2,
-    vx:0, vy:0, posHistory:[],
+    team:p.lobbyTeam, startTeam:null, stepX:0, stepY:0,
+    isFrozen:false, frozenAt:null, frozenTime:0, longestFrozen:0, timesFrozen:0, rescues:0,
+    speedUntil:0, pickups:emptyPickups(), ready:p.isBot,
+    ...spawnPoint(rng), botTickCounter:0,
+    vx:0, vy:0, posHistory:[], path:[], pathAge:0, trail:[],
   });
 }
 
-function createRoom(hostWs, hostName) {
-  const roomCode = Math.random().toString(36).substring(2,7).toUpperCase();
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length:ROOM_CODE_LENGTH }, () => ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+// Room passwords live only in memory, but still never in the clear. A keyed
+// hash rather than scrypt: checks run on the game loop, guessing is already
+// rate-limited, and the key dies with the process along with the hashes
+const PASSWORD_KEY = crypto.randomBytes(32);
+
+function hashPassword(password, salt=crypto.randomBytes(16)) {
+  return { salt, hash:crypto.createHmac('sha256', PASSWORD_KEY).update(salt).update(password).digest() };
+}
+
+function checkPassword(room, password) {
+  if (!room.password) return true;
+  if (typeof password!=='string' || !password) return false;
+  return crypto.timingSafeEqual(hashPassword(password, room.password.salt).hash, room.password.hash);
+}
+
+// Locked rooms let a socket in once it has given the password — it can then
+// spectate, take a slot or rejoin without being asked again
+function admit(room, ws, password) {
+  if (!room.password || room.admitted.has(ws)) return null;
+  if (!password) return { error:'This room needs a password', code:'PASSWORD_REQUIRED' };
+  if (!checkPassword(room, password)) return { error:'Wrong password', code:'WRONG_PASSWORD' };
+  room.admitted.add(ws);
+  return null;
+}
+
+// "Bob" becomes "Bob (2)" if someone in the room already has the name
+function uniqueName(room, name) {
+  const taken = new Set(Array.from(room.players.values()).map(p=>p.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  for (let n=2; ; n++) {
+    const suffix = ` (${n})`;
+    const candidate = Array.from(name).slice(0, NAME_MAX_LENGTH-suffix.length).join('').trim()+suffix;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+// `code` is an optional vanity code (already validated against ROOM_CODE_RE)
+function createRoom(hostWs, hostName, { code, password }={}) {
+  const roomCode = code ? code.toUpperCase() : generateRoomCode();
+  if (rooms.has(roomCode)) return { error:'That room code is taken', code:'CODE_TAKEN' };
   const playerId = uuidv4();
-  const player = makePlayer(playerId, hostName, PLAYER_COLORS[0], hostWs);
-  const room = {
-    code:roomCode, state:'waiting', mode:'classic', hostId:playerId,
-    isPublic: false,
-    players: new Map([[playerId, player]]),
-    itPlayerId:null, gameStartTime:null, gameTimer:null,
-    stateInterval:null, lastTickTime:null, firstTaggedId:null,
-    cleanupTimer:null, usedBotNames:new Set(),
-    eliminationOrder:[], zombieGameDone:false,
-  };
+  const room = newRoom(roomCode, playerId);
+  const player = makePlayer(room.rng, playerId, hostName, PLAYER_COLORS[0], hostWs);
+  room.players.set(playerId, player);
+  room.password = password ? hashPassword(password) : null;
+  room.admitted.add(hostWs);
   rooms.set(roomCode, room);
   clientToRoom.set(hostWs, roomCode);
   clientToPlayer.set(hostWs, playerId);
   return { roomCode, playerId, player };
 }
 
-function addBot(room, difficulty) {
-  const max = room.mode==='zombie' ? MAX_PLAYERS_ZOMBIE : MAX_PLAYERS_CLASSIC;
-  if (room.players.size >= max) return null;
-  const avail = BOT_NAMES.filter(n => !room.usedBotNames.has(n));
-  const name = avail.length>0 ? avail[Math.floor(Math.random()*avail.length)] : 'Bot'+(room.players.size+1);
+// `clock` and `seed` default to wall-clock time and a random seed; a headless
+// match passes a virtual clock and the seed it wants to replay
+function newRoom(roomCode, hostId, { clock=realClock, seed=randomSeed() }={}) {
+  return {
+    code:roomCode, state:'waiting', mode:'classic', hostId,
+    clock, seed, rng:createRng(seed), headless:clock!==realClock,
+    password:null, admitted:new WeakSet(),
+    isPublic: false, settings: { ...DEFAULT_SETTINGS }, arena: ARENAS.get(DEFAULT_MAP_ID),
+    players: new Map(),
+    spectators: new Map(), // id -> { id, name, ws } — get broadcasts, never in room.players
+    pendingEmotes: [],     // drained into the next gameState
+    powerups:[], decoys:[], nextPowerupAt:0,
+    itPlayerId:null, gameStartTime:null, gameTimer:null,
+    stateInterval:null, countdownTimer:null, lastTickTime:null, firstTaggedId:null,
+    cleanupTimer:null, usedBotNames:new Set(), series:null,
+    bannedSockets:new WeakSet(), bannedTokens:new Set(), // see banPlayer
+    eliminationOrder:[], zombieGameDone:false,
+  };
+}
+
+function addBot(room, difficulty, strategy=null) {
+  if (room.players.size >= maxPlayers(room)) return null;
+  const inUse = new Set(Array.from(room.players.values()).map(p=>p.name.toLowerCase()));
+  const avail = BOT_NAMES.filter(n => !room.usedBotNames.has(n) && !inUse.has(n.toLowerCase()));
+  const name = avail.length>0 ? avail[Math.floor(room.rng()*avail.length)] : 'Bot'+(room.players.size+1);
   room.usedBotNames.add(name);
-  const botId = uuidv4();
-  const bot = makePlayer(botId, name, PLAYER_COLORS[room.players.size % PLAYER_COLORS.length], null, true, difficulty);
+  // Drawn from the room RNG so a seeded headless match names and numbers its bots the same way every run
+  const botId = uuidv4({ random:Array.from({ length:16 }, () => Math.floor(room.rng()*256)) });
+  const bot = makePlayer(room.rng, botId, name, PLAYER_COLORS[room.players.size % PLAYER_COLORS.length], null, true, difficulty);
+  bot.strategy = strategy;
   room.players.set(botId, bot);
+  if (room.mode==='teams') assignTeams(room, false);
   return bot;
 }
 
-function joinRoom(ws, roomCode, playerName) {
+function deleteRoom(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  room.clock.clearInterval(room.stateInterval); room.clock.clearTimeout(room.gameTimer); room.clock.clearTimeout(room.cleanupTimer);
+  room.clock.clearInterval(room.countdownTimer); clearTimeout(room.quickStartTimer);
+  room.spectators.forEach(s => {
+    clientToRoom.delete(s.ws); clientToSpectator.delete(s.ws);
+    if (s.ws.readyState===WebSocket.OPEN) s.ws.send(JSON.stringify({type:'roomClosed'}));
+  });
+  rooms.delete(roomCode);
+}
+
+function spectateRoom(ws, roomCode, name, password) {
+  const room = rooms.get(roomCode);
+  if (!room) return { error:'Room not found', code:'ROOM_NOT_FOUND' };
+  if (room.bannedSockets.has(ws)) return { error:'You are banned from this room', code:'BANNED' };
+  if (room.spectators.size >= MAX_SPECTATORS) return { error:'Too many spectators', code:'ROOM_FULL' };
+  const denied = admit(room, ws, password);
+  if (denied) return denied;
+  const spectator = { id:uuidv4(), name, ws };
+  room.spectators.set(spectator.id, spectator);
+  clientToRoom.set(ws, roomCode);
+  clientToSpectator.set(ws, spectator.id);
+  return { room, spectator };
+}
+
+function removeSpectator(ws) {
+  const room = rooms.get(clientToRoom.get(ws)), id = clientToSpectator.get(ws);
+  clientToRoom.delete(ws); clientToSpectator.delete(ws);
+  if (!room || !room.spectators.delete(id)) return;
+  broadcastToRoom(room, {type:'spectatorsChanged', spectatorCount:room.spectators.size});
+}
+
+function joinRoom(ws, roomCode, playerName, password) {
   const room = rooms.get(roomCode);
-  if (!room) return { error:'Room not found' };
-  if (room.state!=='waiting') return { error:'Game already in progress' };
-  const max = room.mode==='zombie' ? MAX_PLAYERS_ZOMBIE : MAX_PLAYERS_CLASSIC;
-  if (room.players.size >= max) return { error:'Room is full' };
+  if (!room) return { error:'Room not found', code:'ROOM_NOT_FOUND' };
+  if (room.bannedSockets.has(ws)) return { error:'You are banned from this room', code:'BANNED' };
+  if (room.state!=='waiting') return { error:'Game already in progress', code:'GAME_IN_PROGRESS' };
+  if (room.players.size >= maxPlayers(room)) return { error:'Room is full', code:'ROOM_FULL' };
+  const denied = admit(room, ws, password);
+  if (denied) return denied;
   const playerId = uuidv4();
-  const player = makePlayer(playerId, playerName, PLAYER_COLORS[room.players.size % PLAYER_COLORS.length], ws);
+  const player = makePlayer(room.rng, playerId, uniqueName(room, playerName), PLAYER_COLORS[room.players.size % PLAYER_COLORS.length], ws);
   room.players.set(playerId, player);
+  if (room.mode==='teams') assignTeams(room, false);
   clientToRoom.set(ws, roomCode);
   clientToPlayer.set(ws, playerId);
   return { playerId, player };
 }
 
+// Promote the next connected human (by join order) — falls back to a disconnected one
+function migrateHost(room) {
+  const humans = Array.from(room.players.values()).filter(p=>!p.isBot&&p.id!==room.hostId);
+  const next = humans.find(p=>!p.disconnected) || humans[0];
+  if (!next) return;
+  setHost(room, next);
+}
+
+function setHost(room, player) {
+  room.hostId = player.id;
+  broadcastToRoom(room, {type:'hostChanged', hostId:player.id, hostName:player.name, players:getPlayers(room)});
+}
+
+// A round can't go on without someone chasing — when the last "it" / chaser /
+// zombie leaves, a random runner (preferring ones still in play) takes over
+function handOffChaser(room, leaverId) {
+  const rem = Array.from(room.players.values()), now = room.clock.now();
+  const pick = list => list[Math.floor(room.rng()*list.length)];
+  if (room.mode==='classic' && room.itPlayerId===leaverId) {
+    const ni = pick(rem);
+    ni.isIt=true; ni.wasEverIt=true; ni.becameItAt=now; ni.currentItStart=now; room.itPlayerId=ni.id;
+  } else if (room.mode==='freeze' && !rem.some(p=>p.isIt)) {
+    const active = rem.filter(p=>!p.isFrozen), nc = pick(active.length ? active : rem);
+    if (nc.isFrozen) { nc.longestFrozen=Math.max(nc.longestFrozen,now-nc.frozenAt); nc.isFrozen=false; nc.frozenAt=null; }
+    nc.isIt=true; nc.wasEverIt=true;
+  } else if (room.mode==='zombie' && !rem.some(p=>p.isZombie||p.isTurning)) {
+    const nz = pick(rem);
+    nz.isZombie=true; nz.infectedAt=now;
+    room.eliminationOrder.push({id:nz.id,time:now});
+  }
+}
+
+// Drop a player for good — hands off the chasing role and tears the room down once no humans are left
+function removePlayer(roomCode, playerId) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  const player = room.players.get(playerId);
+  if (!player) return;
+  clearTimeout(player.disconnectTimer);
+  room.players.delete(playerId);
+  if (room.players.size===0 || Array.from(room.players.values()).every(p=>p.isBot)) {
+    deleteRoom(roomCode);
+    return;
+  }
+  if (room.state==='playing') handOffChaser(room, playerId);
+  broadcastToRoom(room, {type:'playerLeft', players:getPlayers(room)});
+  if (room.hostId===playerId) migrateHost(room);
+  updateQuickStart(room);
+}
+
+// Keep the slot alive (frozen in place) for RESUME_GRACE_MS so a dropped socket can resumeSession
+function disconnectPlayer(roomCode, player) {
+  const room = rooms.get(roomCode);
+  player.ws = null; player.disconnected = true;
+  player.disconnectTimer = setTimeout(() => removePlayer(roomCode, player.id), RESUME_GRACE_MS);
+  broadcastToRoom(room, {type:'playerDisconnected', playerId:player.id, players:getPlayers(room), graceMs:RESUME_GRACE_MS});
+  if (room.hostId===player.id) migrateHost(room);
+}
+
+// Remove a player immediately (no resume grace) and tell their socket why — the
+// socket stays open, so a replay or another room is still one message away
+function kickPlayer(roomCode, player, reason) {
+  const room = rooms.get(roomCode), ws = player.ws;
+  player.resumeToken = null;
+  if (ws) {
+    // Back at the menu — a locked room asks for the password again
+    room.admitted.delete(ws);
+    clientToRoom.delete(ws); clientToPlayer.delete(ws);
+    if (ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({type:'kicked', roomCode, reason}));
+  }
+  removePlayer(roomCode, player.id);
+}
+
+// Like a kick, but neither the socket nor the slot's resume token can get back
+// into this room code
+function banPlayer(roomCode, player, reason) {
+  const room = rooms.get(roomCode), ws = player.ws;
+  if (player.resumeToken) room.bannedTokens.add(player.resumeToken);
+  player.resumeToken = null;
+  if (ws) {
+    room.bannedSockets.add(ws);
+    clientToRoom.delete(ws); clientToPlayer.delete(ws);
+    if (ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({type:'banned', roomCode, reason}));
+  }
+  removePlayer(roomCode, player.id);
+}
+
+function resumeSession(ws, roomCode, playerId, resumeToken) {
+  const room = rooms.get(roomCode);
+  if (!room) return { error:'Room not found', code:'ROOM_NOT_FOUND' };
+  if (room.bannedSockets.has(ws) || room.bannedTokens.has(resumeToken)) return { error:'You are banned from this room', code:'BANNED' };
+  const player = room.players.get(playerId);
+  if (!player || player.isBot || !resumeToken || player.resumeToken!==resumeToken) return { error:'Session expired', code:'SESSION_EXPIRED' };
+  clearTimeout(player.disconnectTimer); player.disconnectTimer = null;
+  // The old socket may not have noticed the drop yet — unbind it so its close is a no-op
+  if (player.ws && player.ws!==ws) {
+    clientToRoom.delete(player.ws); clientToPlayer.delete(player.ws);
+    try { player.ws.terminate(); } catch {}
+  }
+  // Resume from the frozen position under the normal speed budget — a fresh baseline
+  // here would let a dropped socket come back anywhere on the board
+  player.ws = ws; player.disconnected = false; player.lastMoveTime = room.clock.now();
+  clientToRoom.set(ws, roomCode);
+  clientToPlayer.set(ws, playerId);
+  return { room, player };
+}
+
 function serializePlayer(p) {
   return {
     id:p.id, name:p.name, color:p.color, x:p.x, y:p.y,
     isIt:p.isIt, immune:p.immune, wasEverIt:p.wasEverIt,
     timeNotIt:p.timeNotIt, tagsMade:p.tagsMade, fastestTag:p.fastestTag,
     timesTagged:p.timesTagged, retags:p.retags, totalDistance:p.totalDistance,
-    isBot:p.isBot, difficulty:p.difficulty,
+    isBot:p.isBot, difficulty:p.difficulty, skill:p.skill, strategy:p.strategy,
     isZombie:p.isZombie, isTurning:p.isTurning, turningUntil:p.turningUntil,
     infectCount:p.infectCount, eliminationRank:p.eliminationRank, isPatientZero:p.isPatientZero,
+    disconnected:p.disconnected, muted:p.muted, ready:p.ready, team:p.team,
+    isFrozen:p.isFrozen, timesFrozen:p.timesFrozen, rescues:p.rescues, speedUntil:p.speedUntil,
   };
 }
 
+// Open sockets of the room's connected humans plus its spectators
+function roomSockets(room) {
+  const sockets = [];
+  room.players.forEach(p => { if (!p.isBot && p.ws && p.ws.readyState===WebSocket.OPEN) sockets.push(p.ws); });
+  room.spectators.forEach(s => { if (s.ws.readyState===WebSocket.OPEN) sockets.push(s.ws); });
+  return sockets;
+}
+
 function broadcastToRoom(room, msg, excludeWs=null) {
   const data = JSON.stringify(msg);
-  room.players.forEach(p => {
-    if (!p.isBot && p.ws!==excludeWs && p.ws && p.ws.readyState===WebSocket.OPEN) p.ws.send(data);
+  roomSockets(room).forEach(ws => { if (ws!==excludeWs) ws.send(data); });
+}
+
+// ─── Delta State ──────────────────────────────────────────────────────────────
+// Clients that connect with the DELTA_PROTOCOL subprotocol get a full gameState
+// (keyframe:true) every KEYFRAME_EVERY_TICKS ticks, and in between a
+// gameStateDelta carrying only the player/liveScore fields that changed since the
+// previous tick. A socket that missed the previous seq of this room (fresh join,
+// resume, coming from another room) is sent a keyframe instead, so it never
+// applies a delta to a stale baseline. Every round starts back at seq 1.
+
+// Diff a list of {id,...} records against `base` (id -> last record), updating base in place
+function diffById(base, list) {
+  const changes=[], seen=new Set();
+  list.forEach(item=>{
+    seen.add(item.id);
+    const prev=base.get(item.id);
+    const ch={id:item.id};let any=false;
+    for(const k in item)if(!prev||prev[k]!==item[k]){ch[k]=item[k];any=true;}
+    if(any)changes.push(ch);
+    base.set(item.id,item);
+  });
+  const removed=[];
+  base.forEach((_,id)=>{if(!seen.has(id)){removed.push(id);base.delete(id);}});
+  return {changes,removed};
+}
+
+function broadcastGameState(room, state) {
+  if(room.pendingEmotes.length)state.emotes=room.pendingEmotes.splice(0).map(e=>{
+    const p=room.players.get(e.playerId);
+    return p?{...e,x:p.x,y:p.y}:e;
+  });
+  if(!room.deltaBase)room.deltaBase={players:new Map(),scores:new Map()};
+  const seq=room.stateSeq=(room.stateSeq||0)+1;
+  const players=diffById(room.deltaBase.players,state.players);
+  const scores=diffById(room.deltaBase.scores,state.liveScores);
+  const keyframeDue=seq%KEYFRAME_EVERY_TICKS===1;
+  let full=null,key=null,delta=null;
+  roomSockets(room).forEach(ws=>{
+    if(ws.protocol!==DELTA_PROTOCOL){ws.send(full||(full=JSON.stringify(state)));return;}
+    if(keyframeDue||ws.deltaRoom!==room.code||ws.deltaSeq!==seq-1)ws.send(key||(key=JSON.stringify({...state,keyframe:true,seq})));
+    else ws.send(delta||(delta=JSON.stringify({
+      ...state,type:'gameStateDelta',seq,players:players.changes,removed:players.removed,liveScores:scores.changes,
+    })));
+    ws.deltaRoom=room.code;ws.deltaSeq=seq;
   });
 }
 
@@ -163,8 +1045,7 @@ function getPlayers(room) { return Array.from(room.players.values()).map(seriali
 function getLiveScores(room) {
   const players = Array.from(room.players.values());
   if (room.mode==='zombie') {
-    const now = Date.now();
-    const maxGameSec = ZOMBIE_GAME_DURATION_MS / 1000;
+    const now = room.clock.now();
     const gameDuration = (now - (room.gameStartTime || now)) / 1000;
 
     return players.map(p => {
@@ -183,16 +1064,50 @@ function getLiveScores(room) {
       return { id:p.id, name:p.name, color:p.color, score, isIt:false, isBot:p.isBot, isZombie:p.isZombie||p.isTurning, isTurning:p.isTurning };
     }).sort((a,b) => b.score - a.score);
   }
+  if (room.mode==='freeze') {
+    return players.map(p=>({id:p.id,name:p.name,color:p.color,score:freezeScore(p,null),isIt:p.isIt,isBot:p.isBot,isZombie:false,isTurning:false,isFrozen:p.isFrozen}))
+      .sort((a,b)=>b.score-a.score);
+  }
+  if (room.mode==='teams') {
+    return players.map(p=>({id:p.id,name:p.name,color:p.color,score:teamsScore(p,null),isIt:false,isBot:p.isBot,isZombie:false,isTurning:false,team:p.team}))
+      .sort((a,b)=>b.score-a.score);
+  }
   return players.map(p=>({id:p.id,name:p.name,color:p.color,score:Math.floor(p.timeNotIt/100),isIt:p.isIt,isBot:p.isBot,isZombie:false,isTurning:false}))
     .sort((a,b)=>b.score-a.score);
 }
 
+// Snapshot in the same shape the tick loops broadcast — also sent on resume
+function gameStateMessage(room, now=room.clock.now()) {
+  if (room.mode==='zombie') {
+    const humansLeft = Array.from(room.players.values()).filter(p=>!p.isZombie&&!p.isTurning).length;
+    const timeLeft = Math.max(0, room.settings.zombieDurationMs-(now-room.gameStartTime));
+    return {type:'gameState',serverTime:now,players:getPlayers(room),itPlayerId:null,timeLeft,liveScores:getLiveScores(room),mode:'zombie',humansLeft,...powerupState(room)};
+  }
+  if (room.mode==='freeze') {
+    const timeLeft = Math.max(0, room.settings.freezeDurationMs-(now-room.gameStartTime));
+    const runnersLeft = Array.from(room.players.values()).filter(p=>!p.isIt&&!p.isFrozen).length;
+    return {type:'gameState',serverTime:now,players:getPlayers(room),itPlayerId:null,timeLeft,liveScores:getLiveScores(room),mode:'freeze',runnersLeft};
+  }
+  if (room.mode==='teams') {
+    const timeLeft = Math.max(0, room.settings.teamsDurationMs-(now-room.gameStartTime));
+    return {type:'gameState',serverTime:now,players:getPlayers(room),itPlayerId:null,timeLeft,liveScores:getLiveScores(room),mode:'teams',teamCounts:teamCounts(room)};
+  }
+  const timeLeft = Math.max(0, room.settings.classicDurationMs-(now-room.gameStartTime));
+  return {type:'gameState',serverTime:now,players:getPlayers(room),itPlayerId:room.itPlayerId,timeLeft,liveScores:getLiveScores(room),mode:'classic',...powerupState(room)};
+}
+
 // ─── Bot AI Helpers ────────────────────────────────────────────────────────────
-function moveTo(bot, speed, dt) {
-  const s=speed*(dt/100), dx=bot.botTargetX-bot.x, dy=bot.botTargetY-bot.y;
+// On maps with walls the bot heads for its next waypoint instead of straight at botTarget
+function moveTo(bot, speed, dt, room) {
+  const arena=room&&room.arena, walled=arena&&arena.walls.length>0;
+  const goal=walled?nextWaypoint(bot,arena):{x:bot.botTargetX,y:bot.botTargetY};
+  const fx=bot.x, fy=bot.y;
+  if(room&&bot.speedUntil>room.lastTickTime)speed*=SPEED_BOOST_FACTOR;
+  const s=speed*(dt/100), dx=goal.x-bot.x, dy=goal.y-bot.y;
   const d=Math.sqrt(dx*dx+dy*dy);
   if(d>0.1){bot.x+=(dx/d)*Math.min(s,d);bot.y+=(dy/d)*Math.min(s,d);}
   bot.x=Math.max(0,Math.min(100,bot.x)); bot.y=Math.max(0,Math.min(100,bot.y));
+  if(walled){const p=resolveMove(arena,fx,fy,bot.x,bot.y);bot.x=p.x;bot.y=p.y;}
 }
 
 function dist2(ax, ay, bx, by) {
@@ -209,98 +1124,221 @@ function nearestHuman(bot, humans) {
   return nearest;
 }
 
-// Predict where a human will be in `ticks` game ticks (100ms each)
-function predictPos(human, ticks) {
-  const px = human.x + human.vx * ticks;
-  const py = human.y + human.vy * ticks;
-  return {
-    x: Math.max(5, Math.min(95, px)),
-    y: Math.max(5, Math.min(95, py)),
+// Update smoothed velocity on all players (rolling avg of last 5 ticks)
+function updateVelocities(list) {
+  list.forEach(p=>{
+    if(!p.posHistory) p.posHistory = [];
+    p.posHistory.push({ x: p.x, y: p.y });
+    if(p.posHistory.length > 5) p.posHistory.shift();
+    if(p.posHistory.length >= 2){
+      const oldest = p.posHistory[0];
+      const newest = p.posHistory[p.posHistory.length - 1];
+      const span = p.posHistory.length - 1;
+      p.vx = (newest.x - oldest.x) / span;
+      p.vy = (newest.y - oldest.y) / span;
+    } else {
+      p.vx = 0; p.vy = 0;
+    }
+  });
+}
+
+
+// ─── Adaptive Bots ────────────────────────────────────────────────────────────
+// An adaptive bot's skill runs from 0 (easy) through 0.5 (medium) to 1 (hard).
+// It starts from the humans' win rates and, every ADAPTIVE_EVAL_MS of a match,
+// moves toward whichever side is behind on live score — the same score each
+// mode builds from tags, time spent as it and time survived.
+
+function botDifficulty(bot) {
+  if (bot.difficulty!=='adaptive') return DIFFICULTY[bot.difficulty||'medium'];
+  const skill = bot.skill ?? 0.5;
+  const [lo, hi, t] = skill<0.5 ? [DIFFICULTY.easy, DIFFICULTY.medium, skill*2] : [DIFFICULTY.medium, DIFFICULTY.hard, skill*2-1];
+  const lerp = k => lo[k]+(hi[k]-lo[k])*t;
+  return { speed:lerp('speed'), accuracy:lerp('accuracy'), mistakeChance:lerp('mistakeChance'), reactionTicks:Math.max(1, Math.round(lerp('reactionTicks'))) };
+}
+
+// Called at countdown — bots that already played a round here keep what they learned
+function seedAdaptiveSkill(room) {
+  room.adaptiveEvals = 0;
+  const fresh = Array.from(room.players.values()).filter(p => p.difficulty==='adaptive' && p.skill===null);
+  if (!fresh.length) return;
+  const rates = humanWinRates(room);
+  const winRate = rates.length ? rates.reduce((a,b)=>a+b,0)/rates.length : null;
+  const skill = winRate===null ? 0.5 : Math.max(0, Math.min(1, 0.25+winRate*1.5));
+  fresh.forEach(p => { p.skill = skill; });
+}
+
+// Runs every tick; only does anything once per ADAPTIVE_EVAL_MS of match time
+function adaptBots(room, now) {
+  const due = Math.floor((now-room.gameStartTime)/ADAPTIVE_EVAL_MS);
+  if (due<=room.adaptiveEvals) return;
+  room.adaptiveEvals = due;
+  const adaptive = Array.from(room.players.values()).filter(p => p.difficulty==='adaptive');
+  if (!adaptive.length) return;
+  const scores = getLiveScores(room), mean = list => list.reduce((a,s)=>a+s.score,0)/list.length;
+  const humans = scores.filter(s=>!s.isBot), bots = scores.filter(s=>s.isBot);
+  if (!humans.length) return;
+  const h = mean(humans), b = mean(bots);
+  const lead = (h-b)/Math.max(h, b, 1);  // -1 humans struggling … 1 humans cruising
+  if (Math.abs(lead)<ADAPTIVE_DEADZONE) return;
+  adaptive.forEach(p => { p.skill = Math.max(0, Math.min(1, p.skill+ADAPTIVE_STEP*lead)); });
+}
+
+// ─── Bot Strategies ───────────────────────────────────────────────────────────
+// Bots added with a strategy (see bots/index.js) steer by it instead of their
+// mode's built-in AI whenever it has an answer. The zombie pack's roles go
+// through the same registry.
+
+function deepFreeze(o) {
+  Object.values(o).forEach(v => { if (v && typeof v==='object') deepFreeze(v); });
+  return Object.freeze(o);
+}
+
+// Snapshot shared by every bot deciding this tick
+function strategyFrame(room) {
+  const f = room.strategyFrame;
+  if (f && f.at===room.lastTickTime && f.arena===room.arena) return f;
+  const scores = new Map(getLiveScores(room).map(s=>[s.id, s.score]));
+  const { powerups, decoys } = powerupState(room);
+  return room.strategyFrame = {
+    at:room.lastTickTime, arena:room.arena,
+    map: f && f.arena===room.arena ? f.map : deepFreeze(structuredClone(publicMap(room.arena))),
+    ...deepFreeze({
+      players: Array.from(room.players.values()).map(p => ({
+        id:p.id, name:p.name, isBot:p.isBot, x:p.x, y:p.y, vx:p.vx, vy:p.vy, score:scores.get(p.id)||0,
+        isIt:p.isIt, immune:p.immune, isZombie:p.isZombie, isTurning:p.isTurning, isPatientZero:p.isPatientZero,
+        isFrozen:p.isFrozen, team:p.team,
+      })),
+      powerups, decoys:decoys.map((d,i)=>({ ...d, vx:room.decoys[i].vx, vy:room.decoys[i].vy })),
+    }),
   };
 }
 
+function strategyView(room, bot, diff, prey) {
+  const f = strategyFrame(room), byId = id => f.players.find(p=>p.id===id) || f.decoys.find(d=>d.id===id) || null;
+  return Object.freeze({
+    mode:room.mode, now:room.lastTickTime, elapsedMs:room.lastTickTime-room.gameStartTime,
+    self:byId(bot.id), prey:prey ? byId(prey.id) : null,
+    players:f.players, powerups:f.powerups, decoys:f.decoys, map:f.map,
+    difficulty:Object.freeze({ ...diff }), rng:room.rng,
+    canSee:(a, b) => lineOfSight(room.arena, a.x, a.y, b.x, b.y),
+  });
+}
+
+const failedStrategies = new Set();
+
+// Point the bot where a strategy says — false when it doesn't play this mode,
+// has nothing to say right now, or throws
+function steerByStrategy(bot, room, diff, name=bot.strategy, prey=null) {
+  const strategy = name && getStrategy(name);
+  if (!strategy || (strategy.modes && !strategy.modes.includes(room.mode))) return false;
+  let at;
+  try { at = strategy.target(strategyView(room, bot, diff, prey)); }
+  catch (err) {
+    if (!failedStrategies.has(name)) console.error(`Bot strategy ${name} failed (further errors not logged):`, err.message);
+    failedStrategies.add(name);
+    return false;
+  }
+  if (!at || !Number.isFinite(at.x) || !Number.isFinite(at.y)) return false;
+  bot.botTargetX = at.x; bot.botTargetY = at.y;
+  return true;
+}
+
+// A bot's own strategy on a reaction tick, with the usual mistakes and bounds
+function customStrategyTick(bot, room, diff) {
+  if (!bot.strategy || !steerByStrategy(bot, room, diff)) return false;
+  if (room.rng()<diff.mistakeChance) { bot.botTargetX = 10+room.rng()*80; bot.botTargetY = 10+room.rng()*80; }
+  bot.botTargetX = Math.max(5, Math.min(95, bot.botTargetX));
+  bot.botTargetY = Math.max(5, Math.min(95, bot.botTargetY));
+  return true;
+}
+
 // ─── Classic Bot AI ───────────────────────────────────────────────────────────
+// Head for `target` — hard bots lead it, the rest aim with difficulty-scaled noise
+function chaseTarget(bot, target, diff, rng) {
+  if(diff.accuracy > 0.8 && target.vx !== undefined){
+    bot.botTargetX = target.x + (target.vx||0) * 8;
+    bot.botTargetY = target.y + (target.vy||0) * 8;
+  } else {
+    const n=(1-diff.accuracy)*20;
+    bot.botTargetX=target.x+(rng()-.5)*n;
+    bot.botTargetY=target.y+(rng()-.5)*n;
+  }
+}
+
+// Run from `threat` when it's close, otherwise wander
+function evadeOrWander(bot, threat, diff, rng) {
+  const dx=bot.x-threat.x, dy=bot.y-threat.y;
+  const d=Math.sqrt(dx*dx+dy*dy);
+  if(d < 60){
+    // FLEE — aim for the corner furthest from the threat
+    const corners = [
+      {x:10,y:10},{x:90,y:10},{x:10,y:90},{x:90,y:90}
+    ];
+    let bestCorner = corners[0];
+    let bestDist = -1;
+    corners.forEach(c => {
+      const cd = dist2(c.x, c.y, threat.x, threat.y);
+      if(cd > bestDist){ bestDist = cd; bestCorner = c; }
+    });
+    // Add juke — occasionally dart sideways before fleeing
+    const juke = rng() < 0.2;
+    if(juke){
+      const perpX = -dy/Math.max(0.1,d);
+      const perpY =  dx/Math.max(0.1,d);
+      const side = rng() < 0.5 ? 1 : -1;
+      bot.botTargetX = bot.x + perpX * side * 20;
+      bot.botTargetY = bot.y + perpY * side * 20;
+    } else {
+      const n=(1-diff.accuracy)*8;
+      bot.botTargetX = bestCorner.x + (rng()-.5)*n;
+      bot.botTargetY = bestCorner.y + (rng()-.5)*n;
+    }
+    // Wall avoidance — don't trap in corners if the threat is already there
+    if(bot.x < 15) bot.botTargetX = Math.max(bot.botTargetX, 30);
+    if(bot.x > 85) bot.botTargetX = Math.min(bot.botTargetX, 70);
+    if(bot.y < 15) bot.botTargetY = Math.max(bot.botTargetY, 30);
+    if(bot.y > 85) bot.botTargetY = Math.min(bot.botTargetY, 70);
+  } else {
+    // Wander naturally — more erratic than before
+    bot.botWanderAngle += (rng()-.5) * 0.8;
+    bot.botTargetX = bot.x + Math.cos(bot.botWanderAngle) * 12;
+    bot.botTargetY = bot.y + Math.sin(bot.botWanderAngle) * 12;
+    if(bot.botTargetX<10){bot.botTargetX=15;bot.botWanderAngle=0;}
+    if(bot.botTargetX>90){bot.botTargetX=85;bot.botWanderAngle=Math.PI;}
+    if(bot.botTargetY<10){bot.botTargetY=15;bot.botWanderAngle=Math.PI/2;}
+    if(bot.botTargetY>90){bot.botTargetY=85;bot.botWanderAngle=-Math.PI/2;}
+  }
+}
+
 function updateClassicBot(bot, room, dt) {
   if(!bot.isBot||!bot.trackingActive)return;
-  const diff=DIFFICULTY[bot.difficulty||'medium'];
+  const diff=botDifficulty(bot);
   bot.botTickCounter++;
+  if(bot.botTickCounter%diff.reactionTicks===0&&customStrategyTick(bot,room,diff)){moveTo(bot,diff.speed,dt,room);return;}
   if(bot.botTickCounter%diff.reactionTicks===0){
     const list=Array.from(room.players.values());
     if(bot.isIt){
-      // Chase nearest non-immune player
+      // Chase nearest non-immune player — decoys look just like one
       let nearest=null,nd=Infinity;
-      list.forEach(p=>{if(p.id===bot.id||p.immune)return;const d=dist2(p.x,p.y,bot.x,bot.y);if(d<nd){nd=d;nearest=p;}});
-      if(nearest){
-        // Intercept based on accuracy — hard bots lead their target
-        if(diff.accuracy > 0.8 && nearest.vx !== undefined){
-          bot.botTargetX = nearest.x + (nearest.vx||0) * 8;
-          bot.botTargetY = nearest.y + (nearest.vy||0) * 8;
-        } else {
-          const n=(1-diff.accuracy)*20;
-          bot.botTargetX=nearest.x+(Math.random()-.5)*n;
-          bot.botTargetY=nearest.y+(Math.random()-.5)*n;
-        }
-      }
+      list.concat(room.decoys).forEach(p=>{if(p.id===bot.id||p.immune)return;const d=dist2(p.x,p.y,bot.x,bot.y);if(d<nd){nd=d;nearest=p;}});
+      if(!(nd>25&&seekPowerup(bot,room,15))&&nearest)chaseTarget(bot,nearest,diff,room.rng);
     } else {
       const it=room.players.get(room.itPlayerId);
-      if(it&&it.id!==bot.id){
-        const dx=bot.x-it.x, dy=bot.y-it.y;
-        const d=Math.sqrt(dx*dx+dy*dy);
-        if(d < 60){
-          // FLEE — aim for the corner furthest from IT
-          const corners = [
-            {x:10,y:10},{x:90,y:10},{x:10,y:90},{x:90,y:90}
-          ];
-          let bestCorner = corners[0];
-          let bestDist = -1;
-          corners.forEach(c => {
-            const cd = dist2(c.x, c.y, it.x, it.y);
-            if(cd > bestDist){ bestDist = cd; bestCorner = c; }
-          });
-          // Add juke — occasionally dart sideways before fleeing
-          const juke = Math.random() < 0.2;
-          if(juke){
-            const perpX = -dy/Math.max(0.1,d);
-            const perpY =  dx/Math.max(0.1,d);
-            const side = Math.random() < 0.5 ? 1 : -1;
-            bot.botTargetX = bot.x + perpX * side * 20;
-            bot.botTargetY = bot.y + perpY * side * 20;
-          } else {
-            const n=(1-diff.accuracy)*8;
-            bot.botTargetX = bestCorner.x + (Math.random()-.5)*n;
-            bot.botTargetY = bestCorner.y + (Math.random()-.5)*n;
-          }
-          // Wall avoidance — don't trap in corners if IT is already there
-          if(bot.x < 15) bot.botTargetX = Math.max(bot.botTargetX, 30);
-          if(bot.x > 85) bot.botTargetX = Math.min(bot.botTargetX, 70);
-          if(bot.y < 15) bot.botTargetY = Math.max(bot.botTargetY, 30);
-          if(bot.y > 85) bot.botTargetY = Math.min(bot.botTargetY, 70);
-        } else {
-          // Wander naturally — more erratic than before
-          bot.botWanderAngle += (Math.random()-.5) * 0.8;
-          bot.botTargetX = bot.x + Math.cos(bot.botWanderAngle) * 12;
-          bot.botTargetY = bot.y + Math.sin(bot.botWanderAngle) * 12;
-          if(bot.botTargetX<10){bot.botTargetX=15;bot.botWanderAngle=0;}
-          if(bot.botTargetX>90){bot.botTargetX=85;bot.botWanderAngle=Math.PI;}
-          if(bot.botTargetY<10){bot.botTargetY=15;bot.botWanderAngle=Math.PI/2;}
-          if(bot.botTargetY>90){bot.botTargetY=85;bot.botWanderAngle=-Math.PI/2;}
-        }
-      }
-      if(Math.random()<diff.mistakeChance){bot.botTargetX=10+Math.random()*80;bot.botTargetY=10+Math.random()*80;}
+      const threatD=it&&it.id!==bot.id?dist2(it.x,it.y,bot.x,bot.y):Infinity;
+      if(!(threatD>30&&seekPowerup(bot,room,30))&&threatD<Infinity)evadeOrWander(bot,it,diff,room.rng);
+      if(room.rng()<diff.mistakeChance){bot.botTargetX=10+room.rng()*80;bot.botTargetY=10+room.rng()*80;}
     }
     bot.botTargetX=Math.max(5,Math.min(95,bot.botTargetX));
     bot.botTargetY=Math.max(5,Math.min(95,bot.botTargetY));
   }
-  moveTo(bot,diff.speed,dt);
+  moveTo(bot,diff.speed,dt,room);
 }
 
 // ─── Zombie Bot AI — Smart Flanking & Herding ─────────────────────────────────
 //
-// Role assignment (reassigned every 5 ticks):
-//   CHASER      — beelines directly at nearest human
-//   INTERCEPTOR — predicts human velocity, targets ahead of them
-//   FLANKER     — approaches from the side (perpendicular to human's movement)
-//   HERDER      — repositions to block the escape route / nearest open corner
+// Bot zombies hunt as a pack, each given a role (reassigned every 20 ticks) —
+// chaser, interceptor, flanker or herder, all in bots/pack.js.
 //
 // Multiple zombies each pick a DIFFERENT primary target human so pressure
 // spreads across the whole group rather than everyone dogpiling one.
@@ -352,14 +1390,15 @@ function applyZombieRepulsion(bot, botZombies) {
 
 function updateZombieBot(bot, room, dt, allZombies, allHumans, roomCode) {
   if(!bot.isBot||!bot.trackingActive)return;
-  const diff = DIFFICULTY[bot.difficulty||'medium'];
+  const diff = botDifficulty(bot);
   const spd  = diff.speed * (bot.isTurning ? TURNING_SPEED_FACTOR : bot.isZombie ? ZOMBIE_SPEED_FACTOR : 1.0);
   bot.botTickCounter++;
 
   if(bot.botTickCounter % diff.reactionTicks !== 0){
-    moveTo(bot, spd, dt);
+    moveTo(bot,spd,dt,room);
     return;
   }
+  if(customStrategyTick(bot,room,diff)){ moveTo(bot,spd,dt,room); return; }
 
   // ── Human flee AI (not yet a zombie) ──────────────────────────────────────
   if(!bot.isZombie && !bot.isTurning){
@@ -374,13 +1413,13 @@ function updateZombieBot(bot, room, dt, allZombies, allHumans, roomCode) {
         let bestCorner = corners[0], bestDist = -1;
         corners.forEach(c=>{const cd=dist2(c.x,c.y,nearest.x,nearest.y);if(cd>bestDist){bestDist=cd;bestCorner=c;}});
         // Juke occasionally
-        if(Math.random() < 0.15){
-          const perpX = -dy/d, perpY = dx/d, side = Math.random()<0.5?1:-1;
+        if(room.rng() < 0.15){
+          const perpX = -dy/d, perpY = dx/d, side = room.rng()<0.5?1:-1;
           bot.botTargetX = bot.x + perpX*side*25;
           bot.botTargetY = bot.y + perpY*side*25;
         } else {
-          bot.botTargetX = bestCorner.x + (Math.random()-.5)*8;
-          bot.botTargetY = bestCorner.y + (Math.random()-.5)*8;
+          bot.botTargetX = bestCorner.x + (room.rng()-.5)*8;
+          bot.botTargetY = bestCorner.y + (room.rng()-.5)*8;
         }
         // Wall avoidance
         if(bot.x < 15) bot.botTargetX = Math.max(bot.botTargetX, 30);
@@ -388,22 +1427,25 @@ function updateZombieBot(bot, room, dt, allZombies, allHumans, roomCode) {
         if(bot.y < 15) bot.botTargetY = Math.max(bot.botTargetY, 30);
         if(bot.y > 85) bot.botTargetY = Math.min(bot.botTargetY, 70);
       } else {
-        bot.botWanderAngle += (Math.random()-.5)*0.6;
+        bot.botWanderAngle += (room.rng()-.5)*0.6;
         bot.botTargetX = Math.max(10, Math.min(90, bot.x + Math.cos(bot.botWanderAngle)*12));
         bot.botTargetY = Math.max(10, Math.min(90, bot.y + Math.sin(bot.botWanderAngle)*12));
       }
     }
+    // Grab a nearby pickup when no zombie is breathing down our neck
+    const nz=nearestHuman(bot,activeZ);
+    if(!nz||dist2(nz.x,nz.y,bot.x,bot.y)>30)seekPowerup(bot,room,30);
     bot.botTargetX = Math.max(5,Math.min(95,bot.botTargetX));
     bot.botTargetY = Math.max(5,Math.min(95,bot.botTargetY));
-    moveTo(bot, spd, dt);
+    moveTo(bot,spd,dt,room);
     return;
   }
 
-  // ── Turning — barely moves ─────────────────────────────────────────────────
-  if(bot.isTurning){ moveTo(bot, spd, dt); return; }
+  // ── Turning — barely moves, but crawls toward a cure if one is close ───────
+  if(bot.isTurning){ seekPowerup(bot,room,20); moveTo(bot,spd,dt,room); return; }
 
   // ── Active zombie — role-based movement with repulsion ────────────────────
-  if(allHumans.length===0){ moveTo(bot,spd,dt); return; }
+  if(allHumans.length===0){ moveTo(bot,spd,dt,room); return; }
 
   const botZombies = allZombies.filter(z=>z.isZombie&&!z.isTurning&&z.isBot);
 
@@ -419,84 +1461,86 @@ function updateZombieBot(bot, room, dt, allZombies, allHumans, roomCode) {
   const role   = myAssign ? myAssign.role   : 'chaser';
   const target = myAssign ? myAssign.target : nearestHuman(bot, allHumans);
 
-  if(!target){ moveTo(bot,spd,dt); return; }
-
-  const noise = (1-diff.accuracy)*10;
+  if(!target){ moveTo(bot,spd,dt,room); return; }
 
-  switch(role){
-    case 'chaser': {
-      // Direct pursuit — no prediction, just relentless
-      bot.botTargetX = target.x + (Math.random()-.5)*noise;
-      bot.botTargetY = target.y + (Math.random()-.5)*noise;
-      break;
-    }
-    case 'interceptor': {
-      // Predict where target will be ahead using smoothed velocity
-      const lookAhead = 18;
-      const pred = predictPos(target, lookAhead);
-      bot.botTargetX = pred.x + (Math.random()-.5)*noise;
-      bot.botTargetY = pred.y + (Math.random()-.5)*noise;
-      break;
-    }
-    case 'flanker': {
-      // Come from the side perpendicular to target's movement
-      const spd2 = Math.sqrt(target.vx**2 + target.vy**2);
-      if(spd2 > 0.1){
-        const perpX = -target.vy / spd2;
-        const perpY =  target.vx / spd2;
-        const sideA = { x: target.x + perpX*25, y: target.y + perpY*25 };
-        const sideB = { x: target.x - perpX*25, y: target.y - perpY*25 };
-        const side = dist2(bot.x,bot.y,sideA.x,sideA.y) < dist2(bot.x,bot.y,sideB.x,sideB.y) ? sideA : sideB;
-        bot.botTargetX = side.x + (Math.random()-.5)*noise;
-        bot.botTargetY = side.y + (Math.random()-.5)*noise;
-      } else {
-        bot.botTargetX = target.x + (Math.random()-.5)*noise;
-        bot.botTargetY = target.y + (Math.random()-.5)*noise;
-      }
-      break;
-    }
-    case 'herder': {
-      // Rush to the nearest wall/corner on the far side of the human
-      // — cuts off the escape route rather than following from behind
-      const wallCandidates = [
-        { x: target.x > 50 ? 95 : 5,  y: target.y },   // nearest side wall
-        { x: target.x,                  y: target.y > 50 ? 95 : 5 }, // nearest top/bottom wall
-        { x: target.x > 50 ? 95 : 5,  y: target.y > 50 ? 95 : 5 }, // nearest corner
-      ];
-      // Pick the wall point that this bot can reach before the human can change direction
-      let best = wallCandidates[0];
-      let bestScore = Infinity;
-      wallCandidates.forEach(w => {
-        const myDist  = dist2(bot.x, bot.y, w.x, w.y);
-        const humDist = dist2(target.x, target.y, w.x, w.y);
-        // Prefer walls where we're closer (or close to as fast) as the human
-        const score = myDist - humDist * 0.6;
-        if(score < bestScore){ bestScore = score; best = w; }
-      });
-      bot.botTargetX = best.x + (Math.random()-.5)*noise;
-      bot.botTargetY = best.y + (Math.random()-.5)*noise;
-      break;
-    }
-  }
+  // The roles are registry strategies (bots/pack.js)
+  steerByStrategy(bot,room,diff,role,target);
 
   // Apply inter-zombie repulsion — physically push zombies apart
   applyZombieRepulsion(bot, botZombies);
 
   // Random mistake (difficulty-scaled)
-  if(Math.random() < diff.mistakeChance){
-    bot.botTargetX = 10+Math.random()*80;
-    bot.botTargetY = 10+Math.random()*80;
+  if(room.rng() < diff.mistakeChance){
+    bot.botTargetX = 10+room.rng()*80;
+    bot.botTargetY = 10+room.rng()*80;
   }
 
   bot.botTargetX = Math.max(5,Math.min(95,bot.botTargetX));
   bot.botTargetY = Math.max(5,Math.min(95,bot.botTargetY));
-  moveTo(bot, spd, dt);
+  moveTo(bot,spd,dt,room);
 }
 
-// ─── Awards ───────────────────────────────────────────────────────────────────
-const AWARDS = {
-  panicMouse:{emoji:'🐁',title:'Panic Mouse',desc:'Most frantic movement'},
-  escapeArtist:{emoji:'🐇',title:'Escape Artist',desc:'Never got tagged'},
+// ─── Team Bot AI ──────────────────────────────────────────────────────────────
+// Contact converts whoever was charging less, so a bot hunts the nearest
+// opponent but backs off from one that's closing in faster than it could answer.
+function updateTeamBot(bot, room, dt) {
+  if(!bot.isBot||!bot.trackingActive)return;
+  const diff=botDifficulty(bot);
+  bot.botTickCounter++;
+  if(bot.botTickCounter%diff.reactionTicks===0&&customStrategyTick(bot,room,diff)){moveTo(bot,diff.speed,dt,room);return;}
+  if(bot.botTickCounter%diff.reactionTicks===0){
+    let target=null,nd=Infinity,threat=null,td=Infinity;
+    room.players.forEach(o=>{
+      if(!o.team||o.team===bot.team||o.immune)return;
+      const d=dist2(o.x,o.y,bot.x,bot.y);
+      if(d<nd){nd=d;target=o;}
+      const closing=d>0.1?((bot.x-o.x)*o.vx+(bot.y-o.y)*o.vy)/d:0;
+      if(d<25&&closing>diff.speed*0.6&&d<td){td=d;threat=o;}
+    });
+    if(threat&&!bot.immune)evadeOrWander(bot,threat,diff,room.rng);
+    else if(target)chaseTarget(bot,target,diff,room.rng);
+    if(room.rng()<diff.mistakeChance){bot.botTargetX=10+room.rng()*80;bot.botTargetY=10+room.rng()*80;}
+    bot.botTargetX=Math.max(5,Math.min(95,bot.botTargetX));
+    bot.botTargetY=Math.max(5,Math.min(95,bot.botTargetY));
+  }
+  moveTo(bot,diff.speed,dt,room);
+}
+
+// ─── Freeze Bot AI ────────────────────────────────────────────────────────────
+// Chasers hunt the nearest moving runner. Runners go thaw the nearest frozen
+// teammate unless a chaser is already camping near it (or near them), in which
+// case they evade like a classic runner. Frozen bots stay put.
+function updateFreezeBot(bot, room, dt) {
+  if(!bot.isBot||!bot.trackingActive||bot.isFrozen)return;
+  const diff=botDifficulty(bot);
+  bot.botTickCounter++;
+  if(bot.botTickCounter%diff.reactionTicks===0&&customStrategyTick(bot,room,diff)){moveTo(bot,diff.speed,dt,room);return;}
+  if(bot.botTickCounter%diff.reactionTicks===0){
+    const list=Array.from(room.players.values());
+    const chasers=list.filter(p=>p.isIt);
+    if(bot.isIt){
+      const target=nearestHuman(bot,list.filter(p=>!p.isIt&&!p.isFrozen&&!p.immune));
+      if(target)chaseTarget(bot,target,diff,room.rng);
+    } else {
+      const threat=nearestHuman(bot,chasers);
+      const threatDist=threat?dist2(threat.x,threat.y,bot.x,bot.y):Infinity;
+      // A frozen teammate is worth the trip if no chaser is within 15 of them
+      const frozen=list.filter(p=>p.isFrozen&&!chasers.some(c=>dist2(c.x,c.y,p.x,p.y)<15));
+      const rescue=nearestHuman(bot,frozen);
+      if(rescue&&threatDist>15){bot.botTargetX=rescue.x;bot.botTargetY=rescue.y;}
+      else if(threat)evadeOrWander(bot,threat,diff,room.rng);
+      if(room.rng()<diff.mistakeChance){bot.botTargetX=10+room.rng()*80;bot.botTargetY=10+room.rng()*80;}
+    }
+    bot.botTargetX=Math.max(5,Math.min(95,bot.botTargetX));
+    bot.botTargetY=Math.max(5,Math.min(95,bot.botTargetY));
+  }
+  moveTo(bot,diff.speed,dt,room);
+}
+
+// ─── Awards ───────────────────────────────────────────────────────────────────
+const AWARDS = {
+  panicMouse:{emoji:'🐁',title:'Panic Mouse',desc:'Most frantic movement'},
+  escapeArtist:{emoji:'🐇',title:'Escape Artist',desc:'Never got tagged'},
   cornerRat:{emoji:'🐀',title:'Corner Rat',desc:'Most time hiding in corners'},
   revengeSeeker:{emoji:'🔄',title:'Revenge Seeker',desc:'Most re-tags'},
   magnetToDanger:{emoji:'🧲',title:'Magnet to Danger',desc:'Got tagged the most'},
@@ -514,6 +1558,23 @@ const ZOMBIE_AWARDS = {
   turnedZombie:{emoji:'🩸',title:'Turned',desc:'Joined the horde'},
 };
 
+const TEAM_AWARDS = {
+  recruiter:{emoji:'📣',title:'Recruiter',desc:'Converted the most opponents'},
+  turncoat:{emoji:'🔀',title:'Turncoat',desc:'Switched sides the most'},
+  firstDefector:{emoji:'🏳️',title:'First Defector',desc:'First to be converted'},
+  loyalist:{emoji:'🛡️',title:'Loyalist',desc:'Never switched sides'},
+  teamPlayer:{emoji:'🤝',title:'Team Player',desc:'Went where the team went'},
+};
+
+const FREEZE_AWARDS = {
+  iceKing:{emoji:'🥶',title:'Ice King',desc:'Froze the most runners'},
+  hero:{emoji:'🦸',title:'Hero',desc:'Thawed the most teammates'},
+  popsicle:{emoji:'🍧',title:'Popsicle',desc:'Longest time frozen in one go'},
+  untouchable:{emoji:'✨',title:'Untouchable',desc:'Never got frozen'},
+  firstFrozen:{emoji:'🧊',title:'First Frozen',desc:'First runner on ice'},
+  chilly:{emoji:'❄️',title:'Chilly',desc:'Felt the frost'},
+};
+
 function assignAwards(list,room){
   const assigned=new Set(),awards={};
   const maxBy=k=>{let b=null,bv=-1;list.forEach(p=>{if(!assigned.has(p.id)&&p[k]>bv){bv=p[k];b=p;}});return bv>0?b:null;};
@@ -553,36 +1614,500 @@ function assignZombieAwards(list){
   return awards;
 }
 
+// ─── Achievements ─────────────────────────────────────────────────────────────
+// Unlike awards, these stick to a player's profile (by name, like the rest of
+// their record). `count` says how much one finished match moves the progress
+// bar, or `total` reads progress straight off the profile for stats it already
+// keeps (so history from before achievements existed counts); once progress
+// reaches `goal` the achievement unlocks for good. `match` is { mode, reason,
+// bots } — bots being the difficulty of every bot in the room.
+// Names aren't authenticated: whoever plays as "Alice" earns Alice's progress,
+// and a clash renamed by uniqueName ("Alice (2)") lands on a separate profile.
+const ACHIEVEMENTS = {
+  firstWin:       { emoji:'🥇', title:'First Win',       desc:'Win a match',                              goal:1,   count:p=>p.rank===1?1:0 },
+  regular:        { emoji:'🎮', title:'Regular',         desc:'Play 100 games',                           goal:100, total:prof=>prof.gamesPlayed },
+  houdini:        { emoji:'🐇', title:'Houdini',         desc:'Earn Escape Artist 10 times',              goal:10,  count:p=>p.award===AWARDS.escapeArtist?1:0 },
+  outbreak:       { emoji:'🦠', title:'Outbreak',        desc:'Infect 5 players in one zombie round',     goal:1,   count:(p,m)=>m.mode==='zombie'&&p.infectCount>=5?1:0 },
+  botSlayer:      { emoji:'🤖', title:'Bot Slayer',      desc:'Win a match where every bot is on hard',   goal:1,   count:(p,m)=>p.rank===1&&m.bots.length>0&&m.bots.every(d=>d==='hard')?1:0 },
+  survivor:       { emoji:'🛡️', title:'Survivor',       desc:'Survive 25 zombie rounds',                 goal:25,  count:(p,m)=>m.mode==='zombie'&&p.isSurvivor?1:0 },
+  recruiter:      { emoji:'🎨', title:'Recruiter',       desc:'Convert 50 opponents in teams',            goal:50,  count:(p,m)=>m.mode==='teams'?p.tagsMade:0 },
+  iceAge:         { emoji:'🧊', title:'Ice Age',         desc:'Freeze 50 runners',                        goal:50,  count:(p,m)=>m.mode==='freeze'&&p.isIt?p.tagsMade:0 },
+  firstResponder: { emoji:'🚑', title:'First Responder', desc:'Thaw 25 frozen teammates',                 goal:25,  count:(p,m)=>m.mode==='freeze'?p.rescues:0 },
+};
+
+function publicAchievement(id) {
+  const { emoji, title, desc, goal } = ACHIEVEMENTS[id];
+  return { id, emoji, title, desc, goal };
+}
+
+// Runs inside recordMatchResults' transaction, after updateProfiles has made sure every human has a profile
+function updateAchievements(players, match, now) {
+  const unlocked = [];
+  players.filter(p => !p.isBot).forEach(p => {
+    const prof = store.getProfile(p.name);
+    const mine = { ...prof.achievements };
+    Object.entries(ACHIEVEMENTS).forEach(([id, a]) => {
+      const rec = { progress:0, unlockedAt:null, ...mine[id] };
+      if (rec.unlockedAt) return;
+      const progress = Math.min(a.goal, a.total ? a.total(prof) : rec.progress+a.count(p, match));
+      if (progress===rec.progress) return;
+      rec.progress = progress;
+      if (rec.progress>=a.goal) { rec.unlockedAt = now; unlocked.push({ playerId:p.id, name:p.name, id }); }
+      mine[id] = rec;
+    });
+    store.putProfile({ ...prof, achievements:mine });
+  });
+  return unlocked;
+}
+
+// Sent after gameEnded so clients can show unlocks over the results screen
+function announceAchievements(room, unlocked) {
+  unlocked.forEach(u => broadcastToRoom(room, { type:'achievementUnlocked', playerId:u.playerId, name:u.name, achievement:publicAchievement(u.id) }));
+}
+
+// Every achievement with the player's progress — null if the name has never finished a match
+function listAchievements(name) {
+  const prof = store.getProfile(name);
+  if (!prof) return null;
+  const mine = prof.achievements || {};
+  return {
+    name: prof.name,
+    achievements: Object.entries(ACHIEVEMENTS).map(([id, a]) => {
+      const fallback = a.total ? Math.min(a.goal, a.total(prof)) : 0;
+      return { ...publicAchievement(id), progress:mine[id] ? mine[id].progress : fallback, unlockedAt:mine[id] ? mine[id].unlockedAt : null };
+    }),
+  };
+}
+
+// ─── Room Listings ────────────────────────────────────────────────────────────
+function summarizeRoom(r) {
+  const list=Array.from(r.players.values());
+  const host=r.players.get(r.hostId);
+  const max=maxPlayers(r);
+  return {
+    code: r.code,
+    hostName: host?host.name:'Unknown',
+    mode: r.mode,
+    playerCount: r.players.size,
+    humanCount: list.filter(p=>!p.isBot).length,
+    botCount: list.filter(p=>p.isBot).length,
+    maxPlayers: max,
+    openSlots: max - r.players.size,
+    state: r.state,
+    mapId: r.arena.id,
+    spectatorCount: r.spectators.size,
+    quickPlay: !!r.matchmade,
+    locked: !!r.password,
+  };
+}
+
+// Public lobbies with room for another human (joinable) and public matches
+// already under way (spectatable)
+function listPublicRooms() {
+  const publicRooms=[];
+  rooms.forEach(r=>{
+    if(!r.isPublic)return;
+    const summary=summarizeRoom(r);
+    if(r.state==='waiting'){
+      if(summary.humanCount>=summary.maxPlayers)return;
+      publicRooms.push({...summary,joinable:true,spectatable:false});
+    } else publicRooms.push({...summary,joinable:false,spectatable:summary.spectatorCount<MAX_SPECTATORS});
+  });
+  return publicRooms;
+}
+
+// ─── Quick Play ───────────────────────────────────────────────────────────────
+// quickPlay drops a player into the fullest public lobby that fits (in their
+// preferred mode, if they named one) or opens a new matchmade lobby. Matchmade
+// lobbies start themselves QUICKPLAY_WAIT_MS after enough humans are in, with
+// the empty seats filled by bots pitched at the humans' level.
+
+const humanCount = room => Array.from(room.players.values()).filter(p=>!p.isBot).length;
+
+function findQuickPlayRoom(ws, mode) {
+  let best=null, bestHumans=-1;
+  rooms.forEach(r=>{
+    if(!r.isPublic||r.password||r.bannedSockets.has(ws)||r.state!=='waiting'||(mode&&r.mode!==mode)||r.players.size>=maxPlayers(r))return;
+    const humans=humanCount(r);
+    if(humans>bestHumans||(humans===bestHumans&&r.matchmade&&!best.matchmade)){best=r;bestHumans=humans;}
+  });
+  return best;
+}
+
+function quickPlay(ws, name, mode) {
+  const existing = findQuickPlayRoom(ws, mode);
+  if (existing) {
+    const result = joinRoom(ws, existing.code, name);
+    return result.error ? result : { room:existing, player:result.player };
+  }
+  const { roomCode, player } = createRoom(ws, name);
+  const room = rooms.get(roomCode);
+  room.isPublic = true; room.matchmade = true;
+  applyMode(room, mode||'classic');
+  return { room, player };
+}
+
+// allTime win rates in the room's mode — anyone with fewer than QUICKPLAY_MIN_HISTORY games is left out
+function humanWinRates(room) {
+  const rates = [];
+  room.players.forEach(p => {
+    if (p.isBot) return;
+    const e = store.getLeaderboardEntry(boardKey(room.mode, 'allTime'), p.name);
+    if (e && e.gamesPlayed>=QUICKPLAY_MIN_HISTORY) rates.push(e.wins/e.gamesPlayed);
+  });
+  return rates;
+}
+
+// Averages the humans' win rates — nobody with history means medium
+function backfillDifficulty(room) {
+  const levels = ['easy','medium','hard'];
+  const known = humanWinRates(room).map(r => r>=0.4 ? 2 : r>=0.15 ? 1 : 0);
+  if (!known.length) return 'medium';
+  return levels[Math.round(known.reduce((a,b)=>a+b,0)/known.length)];
+}
+
+// Arm or disarm a matchmade lobby's auto-start as humans come and go, and tell the room where it stands
+function updateQuickStart(room) {
+  if (!room.matchmade || room.state!=='waiting') return;
+  const humans = humanCount(room);
+  if (humans>=QUICKPLAY_MIN_HUMANS) {
+    if (!room.quickStartTimer) {
+      room.quickStartAt = Date.now()+QUICKPLAY_WAIT_MS;
+      room.quickStartTimer = setTimeout(() => quickStart(room.code), QUICKPLAY_WAIT_MS);
+    }
+    broadcastToRoom(room, { type:'quickPlayStarting', startsIn:Math.max(0, room.quickStartAt-Date.now()) });
+  } else {
+    clearTimeout(room.quickStartTimer); room.quickStartTimer = null;
+    broadcastToRoom(room, { type:'quickPlayWaiting', humans, needed:QUICKPLAY_MIN_HUMANS });
+  }
+}
+
+function quickStart(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  room.quickStartTimer = null;
+  if (room.state!=='waiting') return;
+  const difficulty = backfillDifficulty(room), target = Math.min(QUICKPLAY_FILL_TO, maxPlayers(room));
+  let added = 0;
+  while (room.players.size<target && addBot(room, difficulty)) added++;
+  if (added) broadcastToRoom(room, { type:'playerJoined', players:getPlayers(room) });
+  startCountdown(roomCode);
+}
+
+// ─── Chat ─────────────────────────────────────────────────────────────────────
+// Sliding-window limiter over a list of recent timestamps (mutated in place)
+function withinRateLimit(times, { count, windowMs }, now) {
+  while (times.length && now-times[0]>windowMs) times.shift();
+  if (times.length>=count) return false;
+  times.push(now);
+  return true;
+}
+
+const chatFilterRe = CHAT_FILTER_WORDS.length
+  ? new RegExp(`\\b(${CHAT_FILTER_WORDS.map(w=>w.replace(/[.*+?^${}()|[\]\\]/g,'\\$&')).join('|')})\\b`, 'gi')
+  : null;
+
+function cleanChatText(text) {
+  if (typeof text!=='string') return '';
+  text = text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim().slice(0, CHAT_MAX_LENGTH);
+  return chatFilterRe ? text.replace(chatFilterRe, w=>'*'.repeat(w.length)) : text;
+}
+
+// Returns { error, code }, or null once the message has gone out
+function sendChat(room, player, text, now) {
+  if (player.muted) return { error:'You are muted', code:'MUTED' };
+  const clean = cleanChatText(text);
+  if (!clean) return { error:'Empty message', code:'INVALID_MESSAGE' };
+  if (!withinRateLimit(player.chatTimes, CHAT_RATE_LIMIT, now)) return { error:'Slow down', code:'RATE_LIMITED' };
+  broadcastToRoom(room, {type:'chat', playerId:player.id, name:player.name, color:player.color, text:clean, at:now});
+  return null;
+}
+
+// In play, emotes ride along with the next gameState at the sender's cursor; in the lobby they go out directly
+function sendEmote(room, player, emote, now) {
+  if (player.muted) return { error:'You are muted', code:'MUTED' };
+  if (!Object.hasOwn(EMOTES, emote)) return { error:'Unknown emote', code:'INVALID_MESSAGE' };
+  if (!withinRateLimit(player.emoteTimes, EMOTE_RATE_LIMIT, now)) return { error:'Slow down', code:'RATE_LIMITED' };
+  const e = { playerId:player.id, emote, emoji:EMOTES[emote] };
+  if (room.state==='playing') room.pendingEmotes.push(e);
+  else broadcastToRoom(room, {type:'emote', ...e, x:player.x, y:player.y});
+  return null;
+}
+
+function assignTeamAwards(list,room){
+  const awards={};
+  const top=[...list].sort((a,b)=>b.tagsMade-a.tagsMade)[0];
+  if(top&&top.tagsMade>0)awards[top.id]=TEAM_AWARDS.recruiter;
+  const tc=[...list].sort((a,b)=>b.timesTagged-a.timesTagged)[0];
+  if(tc&&tc.timesTagged>1&&!awards[tc.id])awards[tc.id]=TEAM_AWARDS.turncoat;
+  if(room.firstTaggedId&&!awards[room.firstTaggedId])awards[room.firstTaggedId]=TEAM_AWARDS.firstDefector;
+  list.forEach(p=>{if(!awards[p.id])awards[p.id]=p.timesTagged===0?TEAM_AWARDS.loyalist:TEAM_AWARDS.teamPlayer;});
+  return awards;
+}
+
+function assignFreezeAwards(list,room){
+  const awards={};
+  const chasers=list.filter(p=>p.isIt),runners=list.filter(p=>!p.isIt);
+  const ik=[...chasers].sort((a,b)=>b.tagsMade-a.tagsMade)[0];
+  if(ik&&ik.tagsMade>0)awards[ik.id]=FREEZE_AWARDS.iceKing;
+  const hero=[...runners].sort((a,b)=>b.rescues-a.rescues)[0];
+  if(hero&&hero.rescues>0)awards[hero.id]=FREEZE_AWARDS.hero;
+  const pop=[...runners].sort((a,b)=>b.longestFrozen-a.longestFrozen)[0];
+  if(pop&&pop.longestFrozen>0&&!awards[pop.id])awards[pop.id]=FREEZE_AWARDS.popsicle;
+  if(room.firstTaggedId&&!awards[room.firstTaggedId])awards[room.firstTaggedId]=FREEZE_AWARDS.firstFrozen;
+  runners.forEach(p=>{if(!awards[p.id]&&p.timesFrozen===0)awards[p.id]=FREEZE_AWARDS.untouchable;});
+  list.forEach(p=>{if(!awards[p.id])awards[p.id]=FREEZE_AWARDS.chilly;});
+  return awards;
+}
+
+// ─── Series ───────────────────────────────────────────────────────────────────
+// A host-configured run of rounds: `rounds` caps its length, `firstTo` (optional)
+// ends it early once someone has that many round wins, and `rotation` is the
+// mode order playAgain cycles through. Each round pays placement points (one per
+// player finished ahead of); standings rank on points, then wins, then raw score.
+// A finished series restarts with the same config on the next playAgain.
+
+const SERIES_AWARDS = {
+  champion:{emoji:'👑',title:'Series Champion',desc:'Topped the series standings'},
+  closer:{emoji:'🎯',title:'Closer',desc:'Won the most rounds'},
+  allRounder:{emoji:'🎲',title:'All-Rounder',desc:'Won rounds in more than one mode'},
+  comebackKid:{emoji:'📈',title:'Comeback Kid',desc:'Climbed the most places in the standings'},
+  steadyHand:{emoji:'⚖️',title:'Steady Hand',desc:'Best average finish'},
+  grinder:{emoji:'🏃',title:'Grinder',desc:'Saw the series through'},
+};
+
+function newSeries({ rounds, firstTo, rotation }) {
+  return { rounds, firstTo, rotation, round:0, done:false, standings:new Map(), history:[] };
+}
+
+// Returns { series } (null clears it) or { error }
+function validateSeries(room, cfg) {
+  if (cfg===null) return { series:null };
+  if (!cfg || typeof cfg!=='object') return { error:'Invalid series' };
+  const firstTo = cfg.firstTo===undefined || cfg.firstTo===null ? null : cfg.firstTo;
+  const rounds = cfg.rounds===undefined && firstTo!==null ? SERIES_MAX_ROUNDS : cfg.rounds;
+  if (!Number.isInteger(rounds) || rounds<1 || rounds>SERIES_MAX_ROUNDS) return { error:`rounds must be an integer between 1 and ${SERIES_MAX_ROUNDS}` };
+  if (firstTo!==null && (!Number.isInteger(firstTo) || firstTo<1 || firstTo>rounds)) return { error:`firstTo must be an integer between 1 and ${rounds}` };
+  const rotation = cfg.rotation===undefined ? [room.mode] : cfg.rotation;
+  if (!Array.isArray(rotation) || !rotation.length || rotation.length>SERIES_MAX_ROUNDS || !rotation.every(m=>GAME_MODES.includes(m)))
+    return { error:'rotation must be a list of game modes' };
+  const tooBig = rotation.find(m=>room.players.size>maxPlayers(room,m));
+  if (tooBig) return { error:`Too many players for ${tooBig}` };
+  return { series:newSeries({ rounds, firstTo, rotation }) };
+}
+
+function seriesStandings(s) {
+  return Array.from(s.standings.values())
+    .sort((a,b)=>b.points-a.points||b.wins-a.wins||b.totalScore-a.totalScore)
+    .map((st,i)=>({ id:st.id, name:st.name, color:st.color, isBot:st.isBot, points:st.points, wins:st.wins,
+      roundsPlayed:st.roundsPlayed, totalScore:st.totalScore, avgFinish:Math.round(st.rankSum/st.roundsPlayed*10)/10, place:i+1 }));
+}
+
+function seriesSummary(room) {
+  const s = room.series;
+  if (!s) return null;
+  return { rounds:s.rounds, firstTo:s.firstTo, rotation:s.rotation, round:s.round, done:s.done,
+    nextMode:s.done ? null : s.rotation[s.round%s.rotation.length], standings:seriesStandings(s) };
+}
+
+// Fold a finished round into the series — returns the summary for gameEnded, or null outside a series
+function recordSeriesRound(room, scored, mode) {
+  const s = room.series;
+  if (!s || s.done) return null;
+  s.round++;
+  scored.forEach(p => {
+    const st = s.standings.get(p.id) || { id:p.id, name:p.name, color:p.color, isBot:p.isBot, points:0, wins:0, roundsPlayed:0, totalScore:0, rankSum:0, winModes:[], worstPlace:0 };
+    st.name = p.name; st.color = p.color;
+    st.points += scored.length-p.rank; st.roundsPlayed++; st.totalScore += p.score; st.rankSum += p.rank;
+    if (p.rank===1) { st.wins++; if (!st.winModes.includes(mode)) st.winModes.push(mode); }
+    s.standings.set(p.id, st);
+  });
+  const ranked = seriesStandings(s);
+  ranked.forEach(r => { const st = s.standings.get(r.id); st.worstPlace = Math.max(st.worstPlace, r.place); });
+  const winner = scored.find(p=>p.rank===1);
+  s.history.push({ round:s.round, mode, matchId:room.replay&&room.replay.matchId, winnerId:winner?winner.id:null, winnerName:winner?winner.name:null });
+  s.done = s.round>=s.rounds || (s.firstTo!==null && ranked.some(r=>r.wins>=s.firstTo));
+  return seriesSummary(room);
+}
+
+function assignSeriesAwards(s, standings) {
+  const awards = {};
+  const give = (p, award) => { if (p && !awards[p.id]) awards[p.id] = award; };
+  give(standings[0], SERIES_AWARDS.champion);
+  const closer = [...standings].sort((a,b)=>b.wins-a.wins)[0];
+  if (closer && closer.wins>0) give(closer, SERIES_AWARDS.closer);
+  give(standings.find(r=>s.standings.get(r.id).winModes.length>1), SERIES_AWARDS.allRounder);
+  let cb=null, climb=0;
+  standings.forEach(r => { const d = s.standings.get(r.id).worstPlace-r.place; if (d>climb) { climb=d; cb=r; } });
+  give(cb, SERIES_AWARDS.comebackKid);
+  give([...standings].filter(r=>r.roundsPlayed===s.round&&!awards[r.id]).sort((a,b)=>a.avgFinish-b.avgFinish)[0], SERIES_AWARDS.steadyHand);
+  standings.forEach(r => give(r, SERIES_AWARDS.grinder));
+  return awards;
+}
+
+function endSeries(room) {
+  const s = room.series, standings = seriesStandings(s), awards = assignSeriesAwards(s, standings);
+  broadcastToRoom(room, { type:'seriesEnded', winner:standings[0]||null, rounds:s.history,
+    standings:standings.map(r=>({ ...r, award:awards[r.id]||null })) });
+}
+
 // ─── Countdown ────────────────────────────────────────────────────────────────
-function startCountdown(roomCode){
+const GAME_STARTERS = {
+  classic: startClassicGame,
+  zombie:  startZombieGame,
+  teams:   startTeamsGame,
+  freeze:  startFreezeGame,
+};
+
+// Anyone who stayed still through the countdown moves on from their spawn point
+// under the normal speed limit. Deltas restart too, so the first state of the
+// round goes out as a keyframe rather than a diff against the last round
+function startRound(room){
+  const now=room.clock.now();
+  room.deltaBase=null;room.stateSeq=0;
+  room.players.forEach(p=>{if(p.lastMoveTime===null){p.lastMoveTime=now;p.moveSlack=MOVE_SLACK_PCT;}});
+  GAME_STARTERS[room.mode](room.code);
+}
+
+// Every round draws from a fresh RNG seeded with `seed` (random unless the host
+// asked for one), so the seed in gameStarted is enough to replay it
+function startCountdown(roomCode,seed=randomSeed()){
   const room=rooms.get(roomCode);if(!room||room.players.size<2)return;
+  clearTimeout(room.quickStartTimer);room.quickStartTimer=null;
   room.state='countdown';
+  room.seed=seed;room.rng=createRng(seed);
+  room.players.forEach(p=>{Object.assign(p,spawnPoint(room.rng));p.lastMoveTime=null;p.trail=[];});
+  seedAdaptiveSkill(room);
+  placeOutsideWalls(room);
   room.players.forEach(p=>{p.trackingActive=true;});
-  broadcastToRoom(room,{type:'countdown',count:COUNTDOWN_SECONDS});
-  let count=COUNTDOWN_SECONDS;
-  const iv=setInterval(()=>{
+  broadcastToRoom(room,{type:'countdown',count:room.settings.countdownSeconds});
+  let count=room.settings.countdownSeconds;
+  room.countdownTimer=room.clock.setInterval(()=>{
     count--;
     if(count>0)broadcastToRoom(room,{type:'countdown',count});
-    else{clearInterval(iv);room.mode==='zombie'?startZombieGame(roomCode):startClassicGame(roomCode);}
+    else{room.clock.clearInterval(room.countdownTimer);room.countdownTimer=null;startRound(room);}
   },1000);
 }
 
+// ─── Power-ups ────────────────────────────────────────────────────────────────
+// Classic and zombie rounds drop a pickup every settings.powerupSpawnMs. Touching
+// one collects it if the kind suits the player's role: anyone can take speed,
+// shields and decoys are for whoever is being chased, and only a turning player
+// can use a cure. A decoy is a fake copy of its owner that runs off on its own
+// until it expires or a chaser touches it.
+
+function isChaser(room, p) { return room.mode==='zombie' ? p.isZombie&&!p.isTurning : p.isIt; }
+
+function canCollect(room, p, kind) {
+  if (kind==='cure') return p.isTurning;
+  if (p.isTurning || p.disconnected) return false;
+  return kind==='speed' || !isChaser(room, p);
+}
+
+function resetPowerups(room, now) {
+  room.powerups = []; room.decoys = [];
+  room.nextPowerupAt = now + room.settings.powerupSpawnMs;
+}
+
+function spawnPowerup(room, now) {
+  const kinds = Object.keys(POWERUPS).filter(k => POWERUPS[k].modes.includes(room.mode));
+  const at = randomOpenSpot(room.arena, room.rng, 5);
+  room.powerups.push({ id:randomHex(room.rng), kind:kinds[Math.floor(room.rng()*kinds.length)], x:at.x, y:at.y, expiresAt:now+POWERUP_LIFETIME_MS });
+}
+
+function applyPowerup(room, p, pu, now) {
+  const until = now + POWERUPS[pu.kind].durationMs;
+  p.pickups[pu.kind]++;
+  if (pu.kind==='speed') p.speedUntil = until;
+  else if (pu.kind==='shield') { p.immune = true; p.immuneUntil = Math.max(p.immuneUntil, until); }
+  else if (pu.kind==='decoy') {
+    // Runs directly away from the nearest chaser
+    const chaser = nearestHuman(p, Array.from(room.players.values()).filter(c=>isChaser(room,c)));
+    const a = chaser && dist2(chaser.x,chaser.y,p.x,p.y)>0.1 ? Math.atan2(p.y-chaser.y, p.x-chaser.x) : room.rng()*Math.PI*2;
+    room.decoys.push({ id:pu.id, ownerId:p.id, x:p.x, y:p.y, vx:Math.cos(a)*DECOY_SPEED, vy:Math.sin(a)*DECOY_SPEED, expiresAt:until });
+  } else if (pu.kind==='cure') {
+    p.isTurning = false; p.turningUntil = 0; p.infectedBy = null; p.infectedAt = null;
+    p.immune = true; p.immuneUntil = until;
+    room.eliminationOrder = room.eliminationOrder.filter(e=>e.id!==p.id);
+  }
+  broadcastMatchEvent(room, { type:'powerupCollected', powerupId:pu.id, kind:pu.kind, playerId:p.id, until });
+}
+
+// Straight line, bouncing off the arena edge and any wall it runs into
+function moveDecoy(room, d, dt) {
+  const tx = d.x+d.vx*(dt/100), ty = d.y+d.vy*(dt/100);
+  if (tx<2 || tx>98) d.vx = -d.vx;
+  if (ty<2 || ty>98) d.vy = -d.vy;
+  const nx = Math.max(2, Math.min(98, tx)), ny = Math.max(2, Math.min(98, ty));
+  if (!room.arena.walls.length) { d.x = nx; d.y = ny; return; }
+  const at = resolveMove(room.arena, d.x, d.y, nx, ny);
+  if (Math.abs(at.x-nx)>0.01 || Math.abs(at.y-ny)>0.01) { d.vx = -d.vx; d.vy = -d.vy; }
+  d.x = at.x; d.y = at.y;
+}
+
+// Runs every classic/zombie tick after movement and before tag checks
+function powerupTick(room, list, now, dt) {
+  if (!room.settings.powerupSpawnMs) return;
+  room.powerups = room.powerups.filter(pu => pu.expiresAt>now);
+  if (now>=room.nextPowerupAt) {
+    if (room.powerups.length<POWERUP_MAX_ON_FIELD) spawnPowerup(room, now);
+    room.nextPowerupAt = now + room.settings.powerupSpawnMs;
+  }
+  const chasers = list.filter(p=>isChaser(room,p));
+  const popDist = room.mode==='zombie' ? room.settings.zombieTagDistance : room.settings.tagDistance;
+  room.decoys = room.decoys.filter(d => {
+    if (d.expiresAt<=now) return false;
+    moveDecoy(room, d, dt);
+    const c = chasers.find(c=>dist2(c.x,c.y,d.x,d.y)<popDist);
+    if (c) broadcastMatchEvent(room, { type:'decoyPopped', decoyId:d.id, ownerId:d.ownerId, chaserId:c.id });
+    return !c;
+  });
+  list.forEach(p => {
+    const i = room.powerups.findIndex(pu => canCollect(room,p,pu.kind) && dist2(p.x,p.y,pu.x,pu.y)<POWERUP_PICKUP_PCT);
+    if (i>=0) applyPowerup(room, p, room.powerups.splice(i,1)[0], now);
+  });
+}
+
+// Steer a bot at the nearest pickup it could use within `range` — returns whether it did
+function seekPowerup(bot, room, range) {
+  let best=null, bd=range;
+  room.powerups.forEach(pu => {
+    if (!canCollect(room,bot,pu.kind)) return;
+    const d = dist2(bot.x,bot.y,pu.x,pu.y);
+    if (d<bd) { bd=d; best=pu; }
+  });
+  if (best) { bot.botTargetX = best.x; bot.botTargetY = best.y; }
+  return !!best;
+}
+
+// What gameState carries — decoys borrow their owner's name and colour
+function powerupState(room) {
+  return {
+    powerups: room.powerups.map(({ id, kind, x, y }) => ({ id, kind, x, y })),
+    decoys: room.decoys.map(d => {
+      const o = room.players.get(d.ownerId);
+      return { id:d.id, ownerId:d.ownerId, x:d.x, y:d.y, name:o?o.name:null, color:o?o.color:null };
+    }),
+  };
+}
+
 // ─── Classic ──────────────────────────────────────────────────────────────────
 function startClassicGame(roomCode){
   const room=rooms.get(roomCode);if(!room)return;
   const list=Array.from(room.players.values());
-  const it=list[Math.floor(Math.random()*list.length)];
-  it.isIt=true;it.wasEverIt=true;it.becameItAt=Date.now();it.currentItStart=Date.now();
-  room.itPlayerId=it.id;room.state='playing';room.gameStartTime=Date.now();room.lastTickTime=Date.now();
-  broadcastToRoom(room,{type:'gameStarted',players:getPlayers(room),itPlayerId:it.id,duration:GAME_DURATION_MS,tagDistance:TAG_DISTANCE_PCT,mode:'classic'});
-  room.stateInterval=setInterval(()=>classicTick(roomCode),100);
-  room.gameTimer=setTimeout(()=>endClassicGame(roomCode),GAME_DURATION_MS);
+  const it=list[Math.floor(room.rng()*list.length)],now=room.clock.now();
+  it.isIt=true;it.wasEverIt=true;it.becameItAt=now;it.currentItStart=now;
+  room.itPlayerId=it.id;room.state='playing';room.gameStartTime=now;room.lastTickTime=now;
+  resetPowerups(room,room.gameStartTime);
+  startReplay(room);
+  broadcastMatchEvent(room,{type:'gameStarted',matchId:room.replay.matchId,seed:room.seed,players:getPlayers(room),itPlayerId:it.id,duration:room.settings.classicDurationMs,tagDistance:room.settings.tagDistance,mode:'classic',settings:room.settings,map:publicMap(room.arena)});
+  room.stateInterval=room.clock.setInterval(()=>classicTick(roomCode),100);
+  room.gameTimer=room.clock.setTimeout(()=>endClassicGame(roomCode),room.settings.classicDurationMs);
 }
 
 function classicTick(roomCode){
   const room=rooms.get(roomCode);if(!room||room.state!=='playing')return;
-  const now=Date.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
-  const timeLeft=Math.max(0,GAME_DURATION_MS-(now-room.gameStartTime));
+  const now=room.clock.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
   const list=Array.from(room.players.values());
   list.forEach(p=>{if(p.isBot)updateClassicBot(p,room,dt);});
   list.forEach(p=>{
@@ -594,22 +2119,23 @@ function classicTick(roomCode){
       if(p.x<8||p.x>92||p.y<8||p.y>92)p.edgeTime+=dt;
     }
   });
-  const it=room.players.get(room.itPlayerId);
+  powerupTick(room,list,now,dt);
+  list.forEach(p=>recordTrail(p,now));
+  const it=room.players.get(room.itPlayerId),tagDist=room.settings.tagDistance;
   if(it&&!it.immune){
     for(const p of list){
       if(p.id===it.id||p.immune)continue;
-      const dx=it.x-p.x,dy=it.y-p.y;
-      const mIX=(it.x+(it.prevX||it.x))/2,mIY=(it.y+(it.prevY||it.y))/2;
-      const mPX=(p.x+(p.prevX||p.x))/2,mPY=(p.y+(p.prevY||p.y))/2;
-      if(Math.sqrt(dx*dx+dy*dy)<TAG_DISTANCE_PCT||Math.sqrt((mIX-mPX)**2+(mIY-mPY)**2)<TAG_DISTANCE_PCT){
-        performClassicTag(room,it,p,now);break;
-      }
+      const contact=tagContact(room,it,p,now,tagDist);
+      if(contact){performClassicTag(room,it,p,now,contact);break;}
     }
   }
-  broadcastToRoom(room,{type:'gameState',players:getPlayers(room),itPlayerId:room.itPlayerId,timeLeft,liveScores:getLiveScores(room),mode:'classic'});
+  adaptBots(room,now);
+  const state=gameStateMessage(room,now);
+  recordReplayFrame(room,state,now);
+  broadcastGameState(room,state);
 }
 
-function performClassicTag(room,tagger,target,now){
+function performClassicTag(room,tagger,target,now,contact){
   if(tagger.becameItAt){
     const e=now-tagger.becameItAt;if(tagger.fastestTag===null||e<tagger.fastestTag)tagger.fastestTag=e;
     tagger.tagsMade++;if(tagger.currentItStart){tagger.itStreaks.push(now-tagger.currentItStart);tagger.currentItStart=null;}
@@ -618,16 +2144,16 @@ function performClassicTag(room,tagger,target,now){
   if(Math.sqrt(tdx*tdx+tdy*tdy)<0.5)tagger.opportunistTags++;
   if(tagger.lastTaggerId===target.id)tagger.retags++;
   if(!room.firstTaggedId)room.firstTaggedId=target.id;
-  tagger.isIt=false;tagger.immune=true;tagger.immuneUntil=now+TAG_IMMUNITY_MS;
+  tagger.isIt=false;tagger.immune=true;tagger.immuneUntil=now+room.settings.tagImmunityMs;
   target.isIt=true;target.wasEverIt=true;target.becameItAt=now;target.currentItStart=now;
   target.timesTagged++;target.lastTaggerId=tagger.id;room.itPlayerId=target.id;
-  broadcastToRoom(room,{type:'tagged',newItId:target.id,taggerId:tagger.id});
+  broadcastMatchEvent(room,{type:'tagged',newItId:target.id,taggerId:tagger.id,resolved:contact});
 }
 
 function endClassicGame(roomCode){
   const room=rooms.get(roomCode);if(!room)return;
-  clearInterval(room.stateInterval);clearTimeout(room.gameTimer);room.state='ended';
-  const list=Array.from(room.players.values()),now=Date.now();
+  room.clock.clearInterval(room.stateInterval);room.clock.clearTimeout(room.gameTimer);room.state='ended';
+  const list=Array.from(room.players.values()),now=room.clock.now();
   list.forEach(p=>{if(p.isIt&&p.currentItStart)p.itStreaks.push(now-p.currentItStart);});
   const maxDist=Math.max(...list.map(p=>p.totalDistance));
   const maxR=Math.max(...list.map(p=>p.retags));
@@ -646,13 +2172,17 @@ function endClassicGame(roomCode){
         fastestTag:p.fastestTag?Math.round(p.fastestTag/100)/10:null,
         survivedUntagged:!p.wasEverIt,itAtEnd:p.id===room.itPlayerId,
         timesTagged:p.timesTagged,retags:p.retags,totalDistance:Math.round(p.totalDistance),
-        opportunistTags:p.opportunistTags,
+        opportunistTags:p.opportunistTags,powerups:{...p.pickups},
         shortestItStreak:p.itStreaks.length>0?Math.round(Math.min(...p.itStreaks)/100)/10:null}};
   });
   scored.sort((a,b)=>b.score-a.score);scored.forEach((p,i)=>{p.rank=i+1;});
-  updateLeaderboard(scored);
-  broadcastToRoom(room,{type:'gameEnded',players:scored,mode:'classic'});
-  room.cleanupTimer=setTimeout(()=>rooms.delete(roomCode),5*60*1000);
+  const unlocked=recordMatchResults(room,scored,'classic');
+  const series=recordSeriesRound(room,scored,'classic');
+  broadcastMatchEvent(room,{type:'gameEnded',matchId:room.replay&&room.replay.matchId,players:scored,mode:'classic',series});
+  announceAchievements(room,unlocked);
+  saveReplay(room);
+  if(series&&series.done)endSeries(room);
+  room.cleanupTimer=room.clock.setTimeout(()=>deleteRoom(roomCode),5*60*1000);
 }
 
 // ─── Zombie ───────────────────────────────────────────────────────────────────
@@ -660,89 +2190,80 @@ function startZombieGame(roomCode){
   const room=rooms.get(roomCode);if(!room)return;
   const list=Array.from(room.players.values());
   const bots=list.filter(p=>p.isBot),humans=list.filter(p=>!p.isBot);
-  const pz=bots.length>0?bots[Math.floor(Math.random()*bots.length)]:humans[Math.floor(Math.random()*humans.length)];
-  pz.isZombie=true;pz.isPatientZero=true;pz.infectedAt=Date.now();
-  room.state='playing';room.gameStartTime=Date.now();room.lastTickTime=Date.now();
+  const pz=bots.length>0?bots[Math.floor(room.rng()*bots.length)]:humans[Math.floor(room.rng()*humans.length)],now=room.clock.now();
+  pz.isZombie=true;pz.isPatientZero=true;pz.infectedAt=now;
+  room.state='playing';room.gameStartTime=now;room.lastTickTime=now;
   room.eliminationOrder=[];room.zombieGameDone=false;
+  resetPowerups(room,room.gameStartTime);
   zombieRoleCache.delete(roomCode);
-  broadcastToRoom(room,{type:'gameStarted',players:getPlayers(room),itPlayerId:pz.id,duration:ZOMBIE_GAME_DURATION_MS,tagDistance:ZOMBIE_TAG_DISTANCE_PCT,mode:'zombie',patientZeroId:pz.id});
-  room.stateInterval=setInterval(()=>zombieTick(roomCode),100);
-  room.gameTimer=setTimeout(()=>endZombieGame(roomCode,'timeout'),ZOMBIE_GAME_DURATION_MS);
+  startReplay(room);
+  broadcastMatchEvent(room,{type:'gameStarted',matchId:room.replay.matchId,seed:room.seed,players:getPlayers(room),itPlayerId:pz.id,duration:room.settings.zombieDurationMs,tagDistance:room.settings.zombieTagDistance,mode:'zombie',patientZeroId:pz.id,settings:room.settings,map:publicMap(room.arena)});
+  room.stateInterval=room.clock.setInterval(()=>zombieTick(roomCode),100);
+  room.gameTimer=room.clock.setTimeout(()=>endZombieGame(roomCode,'timeout'),room.settings.zombieDurationMs);
 }
 
 function zombieTick(roomCode){
   const room=rooms.get(roomCode);if(!room||room.state!=='playing')return;
-  const now=Date.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
-  const timeLeft=Math.max(0,ZOMBIE_GAME_DURATION_MS-(now-room.gameStartTime));
+  const now=room.clock.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
   const list=Array.from(room.players.values());
 
-  // Update smoothed velocity on all players (rolling avg of last 5 ticks)
-  list.forEach(p=>{
-    if(!p.posHistory) p.posHistory = [];
-    p.posHistory.push({ x: p.x, y: p.y });
-    if(p.posHistory.length > 5) p.posHistory.shift();
-    if(p.posHistory.length >= 2){
-      const oldest = p.posHistory[0];
-      const newest = p.posHistory[p.posHistory.length - 1];
-      const span = p.posHistory.length - 1;
-      p.vx = (newest.x - oldest.x) / span;
-      p.vy = (newest.y - oldest.y) / span;
-    } else {
-      p.vx = 0; p.vy = 0;
-    }
-  });
+  updateVelocities(list);
 
   const allZombies=list.filter(p=>p.isZombie||p.isTurning);
   const allHumans=list.filter(p=>!p.isZombie&&!p.isTurning);
 
-  list.forEach(p=>{if(p.isBot)updateZombieBot(p,room,dt,allZombies,allHumans,roomCode);});
+  const targets=allHumans.concat(room.decoys);
+  list.forEach(p=>{if(p.isBot)updateZombieBot(p,room,dt,allZombies,targets,roomCode);});
 
   list.forEach(p=>{
-    if(p.isTurning&&now>=p.turningUntil){p.isTurning=false;p.isZombie=true;broadcastToRoom(room,{type:'zombieFullyTurned',playerId:p.id});}
+    if(p.isTurning&&now>=p.turningUntil){p.isTurning=false;p.isZombie=true;broadcastMatchEvent(room,{type:'zombieFullyTurned',playerId:p.id});}
   });
 
   list.forEach(p=>{
     if(p.trackingActive){const dx=p.x-p.prevX,dy=p.y-p.prevY;p.totalDistance+=Math.sqrt(dx*dx+dy*dy);p.prevX=p.x;p.prevY=p.y;}
     if(!p.isZombie&&!p.isTurning)p.timeNotIt+=dt;
+    if(p.immune&&now>=p.immuneUntil)p.immune=false;
   });
+  powerupTick(room,list,now,dt);
+  list.forEach(p=>recordTrail(p,now));
 
   const activeZ=list.filter(p=>p.isZombie&&!p.isTurning);
-  const curH=list.filter(p=>!p.isZombie&&!p.isTurning);
+  const curH=list.filter(p=>!p.isZombie&&!p.isTurning),tagDist=room.settings.zombieTagDistance;
   for(const z of activeZ){
     for(const h of curH){
-      const dx=z.x-h.x,dy=z.y-h.y;
-      const mZX=(z.x+(z.prevX||z.x))/2,mZY=(z.y+(z.prevY||z.y))/2;
-      const mHX=(h.x+(h.prevX||h.x))/2,mHY=(h.y+(h.prevY||h.y))/2;
-      if(Math.sqrt(dx*dx+dy*dy)<ZOMBIE_TAG_DISTANCE_PCT||Math.sqrt((mZX-mHX)**2+(mZY-mHY)**2)<ZOMBIE_TAG_DISTANCE_PCT){
-        infectHuman(room,z,h,now);
-      }
+      if(h.immune)continue;
+      const contact=tagContact(room,z,h,now,tagDist);
+      if(contact)infectHuman(room,z,h,now,contact);
     }
   }
 
   const remaining=list.filter(p=>!p.isZombie&&!p.isTurning);
   if(remaining.length===0&&!room.zombieGameDone){
-    room.zombieGameDone=true;clearInterval(room.stateInterval);clearTimeout(room.gameTimer);
-    setTimeout(()=>endZombieGame(roomCode,'allInfected'),500);return;
+    room.zombieGameDone=true;room.clock.clearInterval(room.stateInterval);room.clock.clearTimeout(room.gameTimer);
+    room.clock.setTimeout(()=>endZombieGame(roomCode,'allInfected'),500);return;
   }
-  broadcastToRoom(room,{type:'gameState',players:getPlayers(room),itPlayerId:null,timeLeft,liveScores:getLiveScores(room),mode:'zombie',humansLeft:remaining.length});
+  adaptBots(room,now);
+  const state=gameStateMessage(room,now);
+  recordReplayFrame(room,state,now);
+  broadcastGameState(room,state);
 }
 
-function infectHuman(room,zombie,human,now){
+function infectHuman(room,zombie,human,now,contact){
   if(human.isTurning||human.isZombie)return;
-  human.isTurning=true;human.turningUntil=now+ZOMBIE_TURNING_MS;
+  human.isTurning=true;human.turningUntil=now+room.settings.zombieTurningMs;
   human.infectedBy=zombie.id;human.infectedAt=now;
   zombie.infectCount++;
   room.eliminationOrder.push({id:human.id,time:now});
-  broadcastToRoom(room,{type:'infected',victimId:human.id,zombieId:zombie.id});
+  broadcastMatchEvent(room,{type:'infected',victimId:human.id,zombieId:zombie.id,resolved:contact});
 }
 
 function endZombieGame(roomCode,reason){
   const room=rooms.get(roomCode);if(!room)return;
-  clearInterval(room.stateInterval);clearTimeout(room.gameTimer);room.state='ended';
+  room.clock.clearInterval(room.stateInterval);room.clock.clearTimeout(room.gameTimer);room.state='ended';
   zombieRoleCache.delete(roomCode);
-  const list=Array.from(room.players.values()),now=Date.now();
+  const list=Array.from(room.players.values()),now=room.clock.now();
   const gameDuration=now-room.gameStartTime;
-  const maxGameSec = ZOMBIE_GAME_DURATION_MS / 1000;
+  const maxGameSec = room.settings.zombieDurationMs / 1000;
   const awards=assignZombieAwards(list);
   const scored=list.map(p=>{
     let score=0;
@@ -765,45 +2286,795 @@ function endZombieGame(roomCode,reason){
       isSurvivor:!p.isZombie&&!p.isTurning,
       stats:{timeNotIt:Math.round(p.timeNotIt/1000),infectCount:p.infectCount,
         survivalTime:p.infectedAt?Math.round((p.infectedAt-room.gameStartTime)/1000):Math.round(gameDuration/1000),
-        isPatientZero:p.isPatientZero,survived:!p.isZombie&&!p.isTurning,totalDistance:Math.round(p.totalDistance)}};
+        isPatientZero:p.isPatientZero,survived:!p.isZombie&&!p.isTurning,totalDistance:Math.round(p.totalDistance),
+        powerups:{...p.pickups}}};
   });
   scored.sort((a,b)=>b.score-a.score);
   scored.forEach((p,i)=>{p.rank=i+1;});
-  broadcastToRoom(room,{type:'gameEnded',players:scored,mode:'zombie',reason});
-  room.cleanupTimer=setTimeout(()=>rooms.delete(roomCode),5*60*1000);
+  const unlocked=recordMatchResults(room,scored,'zombie',reason);
+  const series=recordSeriesRound(room,scored,'zombie');
+  broadcastMatchEvent(room,{type:'gameEnded',matchId:room.replay&&room.replay.matchId,players:scored,mode:'zombie',reason,series});
+  announceAchievements(room,unlocked);
+  saveReplay(room);
+  if(series&&series.done)endSeries(room);
+  room.cleanupTimer=room.clock.setTimeout(()=>deleteRoom(roomCode),5*60*1000);
+}
+
+// ─── Teams ────────────────────────────────────────────────────────────────────
+function teamCounts(room) {
+  const counts=Object.fromEntries(Object.keys(TEAMS).map(t=>[t,0]));
+  room.players.forEach(p=>{if(p.team)counts[p.team]++;});
+  return counts;
+}
+
+// Put unassigned players on the smaller team (humans first so they split evenly);
+// `force` clears every pick and rebalances the whole room
+function assignTeams(room,force){
+  const list=Array.from(room.players.values());
+  if(force)list.forEach(p=>{p.team=p.lobbyTeam=null;});
+  const counts=teamCounts(room);
+  [...list.filter(p=>!p.team&&!p.isBot),...list.filter(p=>!p.team&&p.isBot)].forEach(p=>{
+    const t=counts.red<=counts.blue?'red':'blue';
+    p.team=p.lobbyTeam=t;counts[t]++;
+  });
+}
+
+// Switching into teams fills in sides; switching out drops every team field so
+// other modes don't carry (or broadcast) a stale one
+function applyMode(room,mode){
+  room.mode=mode;
+  if(mode==='teams')assignTeams(room,false);
+  else room.players.forEach(p=>{p.team=p.lobbyTeam=p.startTeam=null;});
+}
+
+// 50 per conversion, 100 for never switching sides, 200 for finishing on the winning team
+function teamsScore(p,winningTeam){
+  return p.tagsMade*50+(p.timesTagged===0?100:0)+(winningTeam&&p.team===winningTeam?200:0);
+}
+
+function startTeamsGame(roomCode){
+  const room=rooms.get(roomCode);if(!room)return;
+  assignTeams(room,false);
+  const counts=teamCounts(room);
+  if(!counts.red||!counts.blue)assignTeams(room,true);
+  room.players.forEach(p=>{p.startTeam=p.team;});
+  room.state='playing';room.gameStartTime=room.lastTickTime=room.clock.now();
+  startReplay(room);
+  broadcastMatchEvent(room,{type:'gameStarted',matchId:room.replay.matchId,seed:room.seed,players:getPlayers(room),itPlayerId:null,duration:room.settings.teamsDurationMs,tagDistance:room.settings.tagDistance,mode:'teams',teams:TEAMS,settings:room.settings,map:publicMap(room.arena)});
+  room.stateInterval=room.clock.setInterval(()=>teamsTick(roomCode),100);
+  room.gameTimer=room.clock.setTimeout(()=>endTeamsGame(roomCode,'timeout'),room.settings.teamsDurationMs);
+}
+
+function teamsTick(roomCode){
+  const room=rooms.get(roomCode);if(!room||room.state!=='playing')return;
+  const now=room.clock.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
+  const list=Array.from(room.players.values());
+  updateVelocities(list);
+  list.forEach(p=>{if(p.isBot)updateTeamBot(p,room,dt);});
+  list.forEach(p=>{
+    if(p.immune&&now>=p.immuneUntil)p.immune=false;
+    if(p.trackingActive){
+      const dx=p.x-p.prevX,dy=p.y-p.prevY;p.stepX=dx;p.stepY=dy;
+      p.totalDistance+=Math.sqrt(dx*dx+dy*dy);p.prevX=p.x;p.prevY=p.y;
+    }
+  });
+  list.forEach(p=>recordTrail(p,now));
+  // Opponents in contact (as either of them saw it) — whoever moved harder toward
+  // the other this tick converts them
+  const tagDist=room.settings.tagDistance;
+  for(let i=0;i<list.length;i++){
+    for(let j=i+1;j<list.length;j++){
+      const a=list[i],b=list[j];
+      if(!a.team||!b.team||a.team===b.team||a.immune||b.immune)continue;
+      const seenByA=tagContact(room,a,b,now,tagDist),seenByB=tagContact(room,b,a,now,tagDist);
+      if(!seenByA&&!seenByB)continue;
+      const d=dist2(a.x,a.y,b.x,b.y);
+      const ux=d>0?(b.x-a.x)/d:0,uy=d>0?(b.y-a.y)/d:0;
+      const approachA=a.stepX*ux+a.stepY*uy,approachB=-(b.stepX*ux+b.stepY*uy);
+      if(approachA>=approachB)convertPlayer(room,a,b,now,seenByA||swapContact(seenByB));
+      else convertPlayer(room,b,a,now,seenByB||swapContact(seenByA));
+    }
+  }
+  const counts=teamCounts(room);
+  if(!counts.red||!counts.blue){endTeamsGame(roomCode,'teamEliminated');return;}
+  adaptBots(room,now);
+  const state=gameStateMessage(room,now);
+  recordReplayFrame(room,state,now);
+  broadcastGameState(room,state);
+}
+
+// Contact decided from the target's view, restated with the converting player as tagger
+function swapContact(c){return{tagger:c.target,target:c.tagger,rewindMs:c.rewindMs};}
+
+function convertPlayer(room,tagger,target,now,contact){
+  tagger.tagsMade++;
+  target.timesTagged++;target.lastTaggerId=tagger.id;
+  if(!room.firstTaggedId)room.firstTaggedId=target.id;
+  target.team=tagger.team;target.immune=true;target.immuneUntil=now+room.settings.tagImmunityMs;
+  broadcastMatchEvent(room,{type:'converted',playerId:target.id,taggerId:tagger.id,team:target.team,teamCounts:teamCounts(room),resolved:contact});
+}
+
+function endTeamsGame(roomCode,reason){
+  const room=rooms.get(roomCode);if(!room)return;
+  room.clock.clearInterval(room.stateInterval);room.clock.clearTimeout(room.gameTimer);room.state='ended';
+  const list=Array.from(room.players.values());
+  const counts=teamCounts(room);
+  const winningTeam=counts.red>counts.blue?'red':counts.blue>counts.red?'blue':null;
+  const awards=assignTeamAwards(list,room);
+  const scored=list.map(p=>({...serializePlayer(p),score:teamsScore(p,winningTeam),
+    isLoser:winningTeam!==null&&p.team!==winningTeam,award:awards[p.id]||null,isSurvivor:false,
+    onWinningTeam:winningTeam!==null&&p.team===winningTeam,
+    stats:{conversions:p.tagsMade,timesConverted:p.timesTagged,startTeam:p.startTeam,endTeam:p.team,
+      totalDistance:Math.round(p.totalDistance)}}));
+  scored.sort((a,b)=>b.score-a.score);
+  scored.forEach((p,i)=>{p.rank=i+1;});
+  const unlocked=recordMatchResults(room,scored,'teams',reason);
+  const series=recordSeriesRound(room,scored,'teams');
+  broadcastMatchEvent(room,{type:'gameEnded',matchId:room.replay&&room.replay.matchId,players:scored,mode:'teams',reason,winningTeam,teamCounts:counts,series});
+  announceAchievements(room,unlocked);
+  saveReplay(room);
+  if(series&&series.done)endSeries(room);
+  room.cleanupTimer=room.clock.setTimeout(()=>deleteRoom(roomCode),5*60*1000);
+}
+
+// ─── Freeze ───────────────────────────────────────────────────────────────────
+// Chasers: 40 per freeze, +200 if everyone ends up frozen.
+// Runners: 1 per 100ms spent unfrozen, 50 per rescue, +100 for being free when time runs out.
+function freezeScore(p,winner){
+  if(p.isIt)return p.tagsMade*40+(winner==='chasers'?200:0);
+  return Math.floor(p.timeNotIt/100)+p.rescues*50+(winner==='runners'&&!p.isFrozen?100:0);
+}
+
+function startFreezeGame(roomCode){
+  const room=rooms.get(roomCode);if(!room)return;
+  const list=Array.from(room.players.values());
+  const n=Math.max(1,Math.min(list.length-1,Math.round(list.length/FREEZE_PLAYERS_PER_CHASER)));
+  const pool=[...list];
+  for(let i=0;i<n;i++){
+    const c=pool.splice(Math.floor(room.rng()*pool.length),1)[0];
+    c.isIt=true;c.wasEverIt=true;
+  }
+  room.state='playing';room.gameStartTime=room.lastTickTime=room.clock.now();
+  startReplay(room);
+  broadcastMatchEvent(room,{type:'gameStarted',matchId:room.replay.matchId,seed:room.seed,players:getPlayers(room),itPlayerId:null,
+    chaserIds:list.filter(p=>p.isIt).map(p=>p.id),duration:room.settings.freezeDurationMs,tagDistance:room.settings.tagDistance,mode:'freeze',settings:room.settings,map:publicMap(room.arena)});
+  room.stateInterval=room.clock.setInterval(()=>freezeTick(roomCode),100);
+  room.gameTimer=room.clock.setTimeout(()=>endFreezeGame(roomCode,'timeout'),room.settings.freezeDurationMs);
+}
+
+function freezeTick(roomCode){
+  const room=rooms.get(roomCode);if(!room||room.state!=='playing')return;
+  const now=room.clock.now(),dt=now-room.lastTickTime;room.lastTickTime=now;
+  const list=Array.from(room.players.values());
+  updateVelocities(list);
+  list.forEach(p=>{if(p.isBot)updateFreezeBot(p,room,dt);});
+  list.forEach(p=>{
+    if(p.immune&&now>=p.immuneUntil)p.immune=false;
+    if(!p.isIt&&!p.isFrozen)p.timeNotIt+=dt;
+    if(p.isFrozen)p.frozenTime+=dt;
+    if(p.trackingActive){const dx=p.x-p.prevX,dy=p.y-p.prevY;p.totalDistance+=Math.sqrt(dx*dx+dy*dy);p.prevX=p.x;p.prevY=p.y;}
+  });
+  list.forEach(p=>recordTrail(p,now));
+  const tagDist=room.settings.tagDistance;
+  const chasers=list.filter(p=>p.isIt);
+  // Rescues first so a runner thawing a teammate and getting caught in the same tick still counts the save
+  list.forEach(r=>{
+    if(r.isIt||r.isFrozen)return;
+    list.forEach(f=>{if(f.isFrozen&&dist2(r.x,r.y,f.x,f.y)<tagDist&&hasLineOfSight(room,r,f))thawPlayer(room,r,f,now);});
+  });
+  chasers.forEach(c=>{
+    list.forEach(r=>{
+      if(r.isIt||r.isFrozen||r.immune)return;
+      const contact=tagContact(room,c,r,now,tagDist);
+      if(contact)freezePlayer(room,c,r,now,contact);
+    });
+  });
+  const runnersLeft=list.filter(p=>!p.isIt&&!p.isFrozen).length;
+  if(runnersLeft===0){endFreezeGame(roomCode,'allFrozen');return;}
+  adaptBots(room,now);
+  const state=gameStateMessage(room,now);
+  recordReplayFrame(room,state,now);
+  broadcastGameState(room,state);
+}
+
+function freezePlayer(room,chaser,runner,now,contact){
+  chaser.tagsMade++;
+  runner.isFrozen=true;runner.frozenAt=now;runner.timesFrozen++;runner.timesTagged++;runner.lastTaggerId=chaser.id;
+  if(!room.firstTaggedId)room.firstTaggedId=runner.id;
+  broadcastMatchEvent(room,{type:'frozen',playerId:runner.id,chaserId:chaser.id,resolved:contact});
+}
+
+function thawPlayer(room,rescuer,frozen,now){
+  frozen.longestFrozen=Math.max(frozen.longestFrozen,now-frozen.frozenAt);
+  frozen.isFrozen=false;frozen.frozenAt=null;
+  frozen.immune=true;frozen.immuneUntil=now+room.settings.tagImmunityMs;
+  rescuer.rescues++;
+  broadcastMatchEvent(room,{type:'thawed',playerId:frozen.id,rescuerId:rescuer.id});
+}
+
+function endFreezeGame(roomCode,reason){
+  const room=rooms.get(roomCode);if(!room)return;
+  room.clock.clearInterval(room.stateInterval);room.clock.clearTimeout(room.gameTimer);room.state='ended';
+  const list=Array.from(room.players.values()),now=room.clock.now();
+  list.forEach(p=>{if(p.isFrozen)p.longestFrozen=Math.max(p.longestFrozen,now-p.frozenAt);});
+  const winner=reason==='allFrozen'?'chasers':'runners';
+  const awards=assignFreezeAwards(list,room);
+  const scored=list.map(p=>({...serializePlayer(p),score:freezeScore(p,winner),
+    isLoser:p.isIt?winner!=='chasers':p.isFrozen,award:awards[p.id]||null,isSurvivor:!p.isIt&&!p.isFrozen,
+    onWinningTeam:p.isIt===(winner==='chasers'),
+    stats:{role:p.isIt?'chaser':'runner',freezes:p.tagsMade,rescues:p.rescues,timesFrozen:p.timesFrozen,
+      frozenTime:Math.round(p.frozenTime/1000),longestFrozen:Math.round(p.longestFrozen/100)/10,
+      timeNotIt:Math.round(p.timeNotIt/1000),totalDistance:Math.round(p.totalDistance)}}));
+  scored.sort((a,b)=>b.score-a.score);
+  scored.forEach((p,i)=>{p.rank=i+1;});
+  const unlocked=recordMatchResults(room,scored,'freeze',reason);
+  const series=recordSeriesRound(room,scored,'freeze');
+  broadcastMatchEvent(room,{type:'gameEnded',matchId:room.replay&&room.replay.matchId,players:scored,mode:'freeze',reason,winner,series});
+  announceAchievements(room,unlocked);
+  saveReplay(room);
+  if(series&&series.done)endSeries(room);
+  room.cleanupTimer=room.clock.setTimeout(()=>deleteRoom(roomCode),5*60*1000);
+}
+
+// ─── Replays ──────────────────────────────────────────────────────────────────
+// One JSON file per match: a static roster, then per-tick frames of
+// [x, y, flags, liveScore] in roster order (null once a player has left) with
+// any pickups [kind, x, y] and decoys [ownerId, x, y] on the field, plus the match events (gameStarted/tagged/infected/...) verbatim.
+const REPLAY_FLAGS = { isIt:1, immune:2, isZombie:4, isTurning:8, isPatientZero:16, disconnected:32, isFrozen:64 };
+const replayPlayback = new Map(); // ws -> { timer }
+
+function startReplay(room) {
+  room.replay = {
+    matchId: uuidv4(), roomCode: room.code, mode: room.mode, seed: room.seed, startedAt: room.gameStartTime,
+    settings: { ...room.settings }, map: publicMap(room.arena),
+    roster: Array.from(room.players.values()).map(p=>({id:p.id,name:p.name,color:p.color,isBot:p.isBot,difficulty:p.difficulty})),
+    frames: [], events: [],
+  };
+}
+
+function broadcastMatchEvent(room, msg) {
+  if (room.replay) room.replay.events.push({ t: room.clock.now()-room.replay.startedAt, msg });
+  broadcastToRoom(room, msg);
+}
+
+function recordReplayFrame(room, state, now) {
+  const replay = room.replay;
+  if (!replay) return;
+  const byId = new Map(state.players.map(p=>[p.id,p]));
+  const scores = new Map(state.liveScores.map(s=>[s.id,s.score]));
+  const round = v => Math.round(v*10)/10;
+  const frame = {
+    t: now-replay.startedAt, tl: state.timeLeft, hl: state.humansLeft,
+    p: replay.roster.map(r => {
+      const p = byId.get(r.id);
+      if (!p) return null;
+      let flags = 0;
+      for (const [k, bit] of Object.entries(REPLAY_FLAGS)) if (p[k]) flags |= bit;
+      const e = [round(p.x), round(p.y), flags, scores.get(p.id)||0];
+      if (p.team) e.push(p.team);
+      return e;
+    }),
+  };
+  if (state.powerups && state.powerups.length) frame.pu = state.powerups.map(pu=>[pu.kind, round(pu.x), round(pu.y)]);
+  if (state.decoys && state.decoys.length) frame.dc = state.decoys.map(d=>[d.ownerId, round(d.x), round(d.y)]);
+  replay.frames.push(frame);
+}
+
+function saveReplay(room) {
+  const replay = room.replay;
+  if (!replay || room.headless) return;
+  room.replay = null;
+  const data = JSON.stringify({ ...replay, endedAt: room.clock.now() });
+  fs.mkdir(REPLAY_DIR, { recursive:true }, err => {
+    if (err) return console.error('Replay dir error:', err.message);
+    fs.writeFile(path.join(REPLAY_DIR, replay.matchId+'.json'), data, err2 => {
+      if (err2) return console.error('Replay save error:', err2.message);
+      pruneReplays();
+    });
+  });
+}
+
+function pruneReplays() {
+  try {
+    const files = fs.readdirSync(REPLAY_DIR).filter(f=>f.endsWith('.json'))
+      .map(f=>({ f, mtime: fs.statSync(path.join(REPLAY_DIR, f)).mtimeMs }))
+      .sort((a,b)=>b.mtime-a.mtime);
+    files.slice(MAX_REPLAYS).forEach(({f})=>fs.unlinkSync(path.join(REPLAY_DIR, f)));
+  } catch {}
+}
+
+function replayPath(matchId) {
+  // Match ids are uuids — anything else could walk out of REPLAY_DIR
+  if (typeof matchId!=='string' || !/^[0-9a-f-]{36}$/i.test(matchId)) return null;
+  return path.join(REPLAY_DIR, matchId+'.json');
+}
+
+function loadReplay(matchId, cb) {
+  const file = replayPath(matchId);
+  if (!file) return cb(new Error('Invalid match id'));
+  fs.readFile(file, 'utf8', (err, raw) => {
+    if (err) return cb(new Error('Replay not found'));
+    try { cb(null, JSON.parse(raw)); } catch { cb(new Error('Replay is corrupt')); }
+  });
+}
+
+// Rebuild a live-shaped gameState message from a compact frame
+function replayFrameToState(replay, frame) {
+  const players = [], liveScores = [];
+  let itPlayerId = null;
+  replay.roster.forEach((r, i) => {
+    const e = frame.p[i];
+    if (!e) return;
+    const [x, y, flags, score, team] = e;
+    const p = { ...r, x, y, team:team||null };
+    for (const [k, bit] of Object.entries(REPLAY_FLAGS)) p[k] = !!(flags & bit);
+    if (p.isIt) itPlayerId = p.id;
+    players.push(p);
+    liveScores.push({ id:p.id, name:p.name, color:p.color, score, isIt:p.isIt, isBot:p.isBot, isZombie:p.isZombie||p.isTurning, isTurning:p.isTurning, team:p.team });
+  });
+  liveScores.sort((a,b)=>b.score-a.score);
+  const msg = { type:'gameState', players, itPlayerId:replay.mode==='zombie'?null:itPlayerId, timeLeft:frame.tl, liveScores, mode:replay.mode, replay:replay.matchId };
+  if (frame.hl!==undefined) msg.humansLeft = frame.hl;
+  if (replay.mode==='classic' || replay.mode==='zombie') {
+    msg.powerups = (frame.pu||[]).map(([kind, x, y], i) => ({ id:String(i), kind, x, y }));
+    msg.decoys = (frame.dc||[]).map(([ownerId, x, y], i) => {
+      const o = replay.roster.find(r=>r.id===ownerId);
+      return { id:String(i), ownerId, x, y, name:o?o.name:null, color:o?o.color:null };
+    });
+  }
+  if (replay.mode==='freeze') msg.runnersLeft = players.filter(p=>!p.isIt&&!p.isFrozen).length;
+  if (replay.mode==='teams') {
+    msg.teamCounts = Object.fromEntries(Object.keys(TEAMS).map(t=>[t, players.filter(p=>p.team===t).length]));
+  }
+  return msg;
+}
+
+function stopReplay(ws) {
+  const pb = replayPlayback.get(ws);
+  if (pb) { clearTimeout(pb.timer); replayPlayback.delete(ws); }
+}
+
+// Stream frames and events in timestamp order, scaled by `speed`
+function streamReplay(ws, replay, speed) {
+  stopReplay(ws);
+  const queue = [
+    ...replay.events.map(e=>({ t:e.t, msg:{ ...e.msg, replay:replay.matchId } })),
+    ...replay.frames.map(f=>({ t:f.t, frame:f })),
+  ].sort((a,b)=>a.t-b.t);
+  const send = m => { if (ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify(m)); };
+  send({ type:'replayStarted', matchId:replay.matchId, mode:replay.mode, speed, players:replay.roster,
+    duration:(replay.endedAt||replay.startedAt)-replay.startedAt, settings:replay.settings, map:replay.map });
+  const pb = { timer:null };
+  replayPlayback.set(ws, pb);
+  const start = Date.now();
+  let i = 0;
+  const step = () => {
+    const elapsed = (Date.now()-start)*speed;
+    while (i<queue.length && queue[i].t<=elapsed) {
+      const item = queue[i++];
+      send(item.frame ? replayFrameToState(replay, item.frame) : item.msg);
+    }
+    if (i>=queue.length || ws.readyState!==WebSocket.OPEN) {
+      replayPlayback.delete(ws);
+      send({ type:'replayEnded', matchId:replay.matchId });
+      return;
+    }
+    pb.timer = setTimeout(step, Math.max(0, (queue[i].t-elapsed)/speed));
+  };
+  step();
+}
+
+// ─── Headless Matches ─────────────────────────────────────────────────────────
+// A bot-only match on a virtual clock — nothing is broadcast or persisted. The
+// same mode, map, settings, bot lineup and seed always end the same way, down
+// to the digest of every replay frame and match event.
+const HEADLESS_EPOCH = Date.UTC(2024, 0, 1);
+
+function runHeadlessMatch({ mode='classic', mapId=DEFAULT_MAP_ID, bots=['medium','medium','medium','medium'], settings={}, seed=randomSeed() }={}) {
+  if (!GAME_MODES.includes(mode)) return { error:`Unknown mode: ${mode}` };
+  if (!ARENAS.has(mapId)) return { error:`Unknown map: ${mapId}` };
+  if (!Number.isInteger(seed) || seed<0 || seed>=2**32) return { error:'Seed must be an integer from 0 to 4294967295' };
+  // Each bot is "difficulty" or "difficulty:strategy"
+  const lineup = bots.map(b => b.split(':'));
+  const unknown = lineup.find(([d]) => !BOT_DIFFICULTIES.includes(d));
+  if (unknown) return { error:`Unknown difficulty: ${unknown[0]}` };
+  const noStrategy = lineup.find(([, s]) => s && !getStrategy(s));
+  if (noStrategy) return { error:`Unknown bot strategy: ${noStrategy[1]}` };
+  const clock = createVirtualClock(HEADLESS_EPOCH);
+  const room = newRoom(generateRoomCode(), null, { clock, seed });
+  const result = validateSettings(room.settings, settings);
+  if (result.error) return result;
+  Object.assign(room, { settings:result.settings, mode, arena:ARENAS.get(mapId) });
+  if (bots.length<2 || bots.length>maxPlayers(room)) return { error:`Need between 2 and ${maxPlayers(room)} bots` };
+  lineup.forEach(([d, s]) => addBot(room, d, s||null));
+  rooms.set(room.code, room);
+  startCountdown(room.code, seed);
+  clock.run(() => room.state==='ended');
+  const replay = room.replay;
+  deleteRoom(room.code);
+  const ended = replay.events.find(e => e.msg.type==='gameEnded').msg;
+  // matchId is a fresh uuid every run, so it stays out of the digest
+  const events = replay.events.map(({ t, msg }) => ({ t, msg:{ ...msg, matchId:undefined } }));
+  return {
+    seed, mode, map:mapId, durationMs:clock.now()-replay.startedAt,
+    reason:ended.reason||null, winner:ended.winningTeam||ended.winner||null,
+    players: ended.players.map(p => ({ rank:p.rank, name:p.name, difficulty:p.difficulty, strategy:p.strategy, score:p.score, award:p.award?p.award.title:null })),
+    digest: crypto.createHash('sha256').update(JSON.stringify({ frames:replay.frames, events })).digest('hex'),
+  };
 }
 
 // ─── HTTP + WS ────────────────────────────────────────────────────────────────
-const httpServer=http.createServer((req,res)=>{res.writeHead(200,{'Content-Type':'text/plain'});res.end('Cursor Tag server running');});
-const wss=new WebSocket.Server({server:httpServer});
+const serverStartedAt = Date.now();
+
+function sendJson(res,status,body){
+  res.writeHead(status,{'Content-Type':'application/json','Access-Control-Allow-Origin':'*'});
+  res.end(JSON.stringify(body));
+}
+
+function intParam(url,name,def,min,max){
+  const v=parseInt(url.searchParams.get(name),10);
+  return Number.isFinite(v)?Math.max(min,Math.min(max,v)):def;
+}
+
+function handleHttp(req,res){
+  const url=new URL(req.url,'http://localhost');
+  if(req.method!=='GET'&&req.method!=='HEAD'){sendJson(res,405,{error:'Method not allowed'});return;}
+
+  if(url.pathname==='/healthz'){
+    sendJson(res,200,{status:'ok',uptimeSec:Math.round((Date.now()-serverStartedAt)/1000),rooms:rooms.size,connections:wss.clients.size});
+    return;
+  }
+  if(url.pathname==='/api/leaderboard'){
+    const q=url.searchParams;
+    sendJson(res,200,queryLeaderboard({mode:q.get('mode'),window:q.get('window'),sort:q.get('sort'),
+      limit:intParam(url,'limit',20,1,100),offset:intParam(url,'offset',0,0,Number.MAX_SAFE_INTEGER)}));
+    return;
+  }
+  if(url.pathname==='/api/maps'){
+    sendJson(res,200,{maps:listMaps()});
+    return;
+  }
+  if(url.pathname==='/api/bots'){
+    sendJson(res,200,{difficulties:BOT_DIFFICULTIES,strategies:listStrategies()});
+    return;
+  }
+  if(url.pathname==='/api/rooms'){
+    sendJson(res,200,{rooms:listPublicRooms()});
+    return;
+  }
+  const roomMatch=url.pathname.match(/^\/api\/rooms\/([A-Za-z0-9]+)$/);
+  if(roomMatch){
+    const r=rooms.get(roomMatch[1].toUpperCase());
+    // Private rooms stay invisible here so HTTP can't be used to probe for codes;
+    // a locked public room shows only what the lobby list already does
+    if(!r||!r.isPublic){sendJson(res,404,{error:'Room not found'});return;}
+    if(r.password){sendJson(res,200,{...summarizeRoom(r),isPublic:true});return;}
+    sendJson(res,200,{...summarizeRoom(r),state:r.state,isPublic:r.isPublic,settings:r.settings,
+      players:Array.from(r.players.values()).map(p=>({name:p.name,color:p.color,isBot:p.isBot,difficulty:p.difficulty}))});
+    return;
+  }
+  const achievementsMatch=url.pathname.match(/^\/api\/players\/([^/]+)\/achievements$/);
+  if(achievementsMatch){
+    let name;try{name=decodeURIComponent(achievementsMatch[1]);}catch{sendJson(res,400,{error:'Invalid player name'});return;}
+    const result=listAchievements(name);
+    if(!result){sendJson(res,404,{error:'Player not found'});return;}
+    sendJson(res,200,result);
+    return;
+  }
+  const playerMatch=url.pathname.match(/^\/api\/players\/([^/]+)$/);
+  if(playerMatch){
+    let name;try{name=decodeURIComponent(playerMatch[1]);}catch{sendJson(res,400,{error:'Invalid player name'});return;}
+    const profile=store.getProfile(name);
+    if(!profile){sendJson(res,404,{error:'Player not found'});return;}
+    sendJson(res,200,{profile,recentMatches:store.listMatches({player:name,limit:intParam(url,'limit',10,1,50)})});
+    return;
+  }
+  const matchMatch=url.pathname.match(/^\/api\/matches\/([^/]+)$/);
+  if(matchMatch){
+    const match=store.getMatch(matchMatch[1]);
+    if(!match){sendJson(res,404,{error:'Match not found'});return;}
+    sendJson(res,200,match);
+    return;
+  }
+  const replayMatch=url.pathname.match(/^\/replays\/([^/]+)$/);
+  if(replayMatch){
+    const file=replayPath(replayMatch[1]);
+    if(!file){sendJson(res,400,{error:'Invalid match id'});return;}
+    const stream=fs.createReadStream(file);
+    stream.on('open',()=>{res.writeHead(200,{'Content-Type':'application/json','Access-Control-Allow-Origin':'*'});stream.pipe(res);});
+    stream.on('error',()=>sendJson(res,404,{error:'Replay not found'}));
+    return;
+  }
+  if(url.pathname.startsWith('/api/')){sendJson(res,404,{error:'Not found'});return;}
+  res.writeHead(200,{'Content-Type':'text/plain'});res.end('Cursor Tag server running');
+}
+
+const httpServer=http.createServer(handleHttp);
+const wss=new WebSocket.Server({server:httpServer,maxPayload:MAX_MESSAGE_BYTES,handleProtocols:protocols=>protocols.has(DELTA_PROTOCOL)?DELTA_PROTOCOL:false});
+
+// ─── Message Validation ───────────────────────────────────────────────────────
+// Every inbound message is checked against MESSAGE_SCHEMAS before the switch sees
+// it, and charged to the sender's token buckets (per socket, plus per address).
+// Rejections get an `error` with a machine-readable `code`; a socket that racks
+// up ABUSE_STRIKES rejections inside the window is closed.
+
+// Field types for MESSAGE_SCHEMAS — a trailing '?' makes the field optional
+const FIELD_CHECKS = {
+  string:   v => typeof v==='string' && v.length<=1000,
+  name:     v => typeof v==='string' && v.length<=200,
+  roomCode: v => typeof v==='string' && ROOM_CODE_RE.test(v),
+  id:       v => typeof v==='string' && v.length>0 && v.length<=64,
+  mode:     v => GAME_MODES.includes(v),
+  number:   v => typeof v==='number' && Number.isFinite(v),
+  integer:  v => Number.isInteger(v),
+  seed:     v => Number.isInteger(v) && v>=0 && v<2**32,
+  boolean:  v => typeof v==='boolean',
+  object:   v => v!==null && typeof v==='object' && !Array.isArray(v),
+  series:   v => v===null || (typeof v==='object' && !Array.isArray(v)),
+  password: v => typeof v==='string' && v.length<=ROOM_PASSWORD_MAX_LENGTH,  // '' means none
+};
+
+const MESSAGE_SCHEMAS = {
+  createRoom:     { name:'name', roomCode:'roomCode?', password:'password?' },
+  joinRoom:       { roomCode:'roomCode', name:'name', password:'password?' },
+  quickPlay:      { name:'name', mode:'mode?' },
+  spectateRoom:   { roomCode:'roomCode', name:'name?', password:'password?' },
+  takeSlot:       {},
+  resumeSession:  { roomCode:'roomCode', playerId:'id', resumeToken:'id' },
+  setMode:        { mode:'mode' },
+  setSeries:      { series:'series' },
+  setSettings:    { settings:'object' },
+  setMap:         { mapId:'id' },
+  setVisibility:  { isPublic:'boolean' },
+  setPassword:    { password:'password' },
+  chat:           { text:'string' },
+  emote:          { emote:'id' },
+  mutePlayer:     { playerId:'id', muted:'boolean?' },
+  setReady:       { ready:'boolean?' },
+  kickPlayer:     { playerId:'id', reason:'string?' },
+  banPlayer:      { playerId:'id', reason:'string?' },
+  setTeam:        { team:'id', playerId:'id?' },
+  balanceTeams:   {},
+  transferHost:   { playerId:'id' },
+  getLeaderboard: { mode:'id?', window:'id?', sort:'id?', limit:'integer?', offset:'integer?' },
+  getAchievements:{ name:'name?' },
+  browseRooms:    {},
+  addBot:         { difficulty:'id?', strategy:'id?' },
+  removeBot:      { botId:'id' },
+  startGame:      { seed:'seed?' },
+  playAgain:      {},
+  watchReplay:    { matchId:'id', speed:'number?' },
+  stopReplay:     {},
+  move:           { x:'number', y:'number', t:'number?' },
+};
+
+// Returns { code, message } for a message that doesn't fit its schema, else null
+function checkMessage(msg) {
+  if (!msg || typeof msg!=='object' || Array.isArray(msg)) return { code:'BAD_MESSAGE', message:'Message must be a JSON object' };
+  if (typeof msg.type!=='string' || !Object.hasOwn(MESSAGE_SCHEMAS, msg.type)) return { code:'UNKNOWN_TYPE', message:`Unknown message type: ${String(msg.type).slice(0,40)}` };
+  for (const [field, spec] of Object.entries(MESSAGE_SCHEMAS[msg.type])) {
+    const optional = spec.endsWith('?'), type = optional ? spec.slice(0,-1) : spec;
+    if (msg[field]===undefined && optional) continue;
+    if (!FIELD_CHECKS[type](msg[field])) return { code:'INVALID_FIELD', message:`Invalid ${field}`, field };
+  }
+  return null;
+}
+
+// Drops control, zero-width/bidi and markup characters, collapses whitespace
+function sanitizeName(name) {
+  if (typeof name!=='string') return '';
+  const clean = name.replace(/[\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2066-\u2069<>&"'`]/g, '').replace(/\s+/g, ' ').trim();
+  return Array.from(clean).slice(0, NAME_MAX_LENGTH).join('').trim();
+}
+
+function takeToken(bucket, { burst, perSec }, now) {
+  bucket.tokens = Math.min(burst, bucket.tokens+(now-bucket.at)/1000*perSec);
+  bucket.at = now;
+  if (bucket.tokens<1) return false;
+  bucket.tokens--;
+  return true;
+}
 
-wss.on('connection',ws=>{
+const newBucket = (limit, now) => ({ tokens:limit.burst, at:now });
+const addresses = new Map(); // ip -> { sockets, lastSeen, ip:bucket, createRoom:bucket, password:bucket }
+
+// Each trusted proxy appends the address it saw, so the client is TRUST_PROXY
+// entries from the right — anything further left is whatever the client sent
+function clientAddress(req) {
+  const fwd = TRUST_PROXY && req.headers['x-forwarded-for'];
+  if (!fwd) return req.socket.remoteAddress;
+  const hops = fwd.split(',').map(a=>a.trim()).filter(Boolean);
+  return hops.length ? hops[Math.max(0, hops.length-TRUST_PROXY)] : req.socket.remoteAddress;
+}
+
+function trackConnection(ws, req, now) {
+  ws.ip = clientAddress(req);
+  ws.buckets = { move:newBucket(RATE_LIMITS.move, now), message:newBucket(RATE_LIMITS.message, now) };
+  ws.strikes = [];
+  let a = addresses.get(ws.ip);
+  if (!a) addresses.set(ws.ip, a = { sockets:0, ip:newBucket(RATE_LIMITS.ip, now), createRoom:newBucket(RATE_LIMITS.createRoom, now), password:newBucket(RATE_LIMITS.password, now) });
+  a.sockets++; a.lastSeen = now;
+}
+
+function untrackConnection(ws) {
+  const a = addresses.get(ws.ip);
+  if (a) { a.sockets--; a.lastSeen = Date.now(); }
+}
+
+// Forget idle addresses once their buckets would have refilled anyway
+setInterval(() => {
+  const now = Date.now();
+  addresses.forEach((a, ip) => { if (a.sockets<=0 && now-a.lastSeen>60000) addresses.delete(ip); });
+}, 60000).unref();
+
+function sendError(ws, code, message) {
+  if (ws.readyState===WebSocket.OPEN) ws.send(JSON.stringify({ type:'error', code, message }));
+}
+
+// Reply with the error and count a strike — closes the socket once it's abusive
+function rejectMessage(ws, code, message, now) {
+  sendError(ws, code, message);
+  if (withinRateLimit(ws.strikes, ABUSE_STRIKES, now)) return;
+  console.warn(`Dropping ${ws.ip} for abusive traffic`);
+  sendError(ws, 'DISCONNECTED', 'Too many rejected messages');
+  ws.close(1008, 'Too many rejected messages');
+}
+
+// Charge a parsed message to its buckets — false means it was rejected
+function admitMessage(ws, type, now) {
+  const a = addresses.get(ws.ip);
+  a.lastSeen = now;
+  const ok = takeToken(a.ip, RATE_LIMITS.ip, now)
+    && (type==='move' ? takeToken(ws.buckets.move, RATE_LIMITS.move, now) : takeToken(ws.buckets.message, RATE_LIMITS.message, now))
+    && (type!=='createRoom' && type!=='quickPlay' || takeToken(a.createRoom, RATE_LIMITS.createRoom, now));
+  if (!ok) rejectMessage(ws, 'RATE_LIMITED', `Too many ${type} messages`, now);
+  return ok;
+}
+
+// Charged before every join/spectate attempt on a locked room so passwords can't be brute-forced
+function allowPasswordAttempt(ws, roomCode, now) {
+  const room = rooms.get(roomCode);
+  if (!room || !room.password || room.admitted.has(ws)) return true;
+  if (takeToken(addresses.get(ws.ip).password, RATE_LIMITS.password, now)) return true;
+  rejectMessage(ws, 'RATE_LIMITED', 'Too many password attempts', now);
+  return false;
+}
+
+// Leaving for another room — an intentional exit, so no resume grace
+function leaveCurrentRoom(ws) {
+  if (clientToSpectator.has(ws)) { removeSpectator(ws); return; }
+  const roomCode = clientToRoom.get(ws), playerId = clientToPlayer.get(ws);
+  clientToRoom.delete(ws); clientToPlayer.delete(ws);
+  if (roomCode && playerId) removePlayer(roomCode, playerId);
+}
+
+function sendRoomJoined(ws,r,p){
+  ws.send(JSON.stringify({type:'roomJoined',roomCode:r.code,playerId:p.id,players:getPlayers(r),color:p.color,mode:r.mode,hostId:r.hostId,settings:r.settings,map:publicMap(r.arena),series:seriesSummary(r),resumeToken:p.resumeToken}));
+  broadcastToRoom(r,{type:'playerJoined',players:getPlayers(r)},ws);
+}
+
+wss.on('connection',(ws,req)=>{
   console.log('Client connected');
+  trackConnection(ws,req,Date.now());
+  ws.on('error',err=>console.warn(`Socket error from ${ws.ip}: ${err.message}`)); // e.g. frames over MAX_MESSAGE_BYTES — ws closes it
   ws.on('message',raw=>{
-    let msg;try{msg=JSON.parse(raw);}catch{return;}
+    if(ws.readyState!==WebSocket.OPEN)return; // already being dropped
+    const now=Date.now();
+    let msg;try{msg=JSON.parse(raw);}catch{rejectMessage(ws,'BAD_MESSAGE','Malformed JSON',now);return;}
+    const invalid=checkMessage(msg);
+    if(invalid){rejectMessage(ws,invalid.code,invalid.message,now);return;}
+    if(!admitMessage(ws,msg.type,now))return;
     const roomCode=clientToRoom.get(ws),playerId=clientToPlayer.get(ws);
     const room=roomCode?rooms.get(roomCode):null;
     const player=room&&playerId?room.players.get(playerId):null;
     switch(msg.type){
       case 'createRoom':{
-        const{roomCode:rc,playerId:pid,player:p}=createRoom(ws,msg.name);
-        ws.send(JSON.stringify({type:'roomCreated',roomCode:rc,playerId:pid,players:[serializePlayer(p)],color:p.color,mode:'classic',isPublic:false}));
+        const name=sanitizeName(msg.name);
+        if(!name){sendError(ws,'INVALID_NAME','Name is required');return;}
+        if(msg.roomCode&&rooms.has(msg.roomCode.toUpperCase())){sendError(ws,'CODE_TAKEN','That room code is taken');return;}
+        leaveCurrentRoom(ws);
+        const{roomCode:rc,playerId:pid,player:p}=createRoom(ws,name,{code:msg.roomCode,password:msg.password});
+        ws.send(JSON.stringify({type:'roomCreated',roomCode:rc,playerId:pid,players:[serializePlayer(p)],color:p.color,mode:'classic',isPublic:false,locked:!!msg.password,settings:rooms.get(rc).settings,map:publicMap(rooms.get(rc).arena),maps:listMaps(),strategies:listStrategies(),resumeToken:p.resumeToken}));
         break;
       }
       case 'joinRoom':{
-        const result=joinRoom(ws,msg.roomCode.toUpperCase(),msg.name);
-        if(result.error){ws.send(JSON.stringify({type:'error',message:result.error}));return;}
-        const r=rooms.get(msg.roomCode.toUpperCase());
-        ws.send(JSON.stringify({type:'roomJoined',roomCode:msg.roomCode.toUpperCase(),playerId:result.playerId,players:getPlayers(r),color:result.player.color,mode:r.mode}));
-        broadcastToRoom(r,{type:'playerJoined',players:getPlayers(r)},ws);
+        const name=sanitizeName(msg.name),code=msg.roomCode.toUpperCase();
+        if(!name){sendError(ws,'INVALID_NAME','Name is required');return;}
+        if(player&&code===roomCode){sendError(ws,'ALREADY_IN_ROOM','You are already in this room');return;}
+        if(!allowPasswordAttempt(ws,code,now))return;
+        if(clientToSpectator.has(ws))removeSpectator(ws);
+        const result=joinRoom(ws,code,name,msg.password);
+        if(result.error){sendError(ws,result.code,result.error);return;}
+        if(player)removePlayer(roomCode,playerId); // switching rooms — don't leave the old slot behind
+        sendRoomJoined(ws,rooms.get(code),result.player);
+        updateQuickStart(rooms.get(code));
+        break;
+      }
+      case 'quickPlay':{
+        if(player){sendError(ws,'ALREADY_IN_ROOM','Leave your current room first');return;}
+        const name=sanitizeName(msg.name);
+        if(!name){sendError(ws,'INVALID_NAME','Name is required');return;}
+        if(clientToSpectator.has(ws))removeSpectator(ws);
+        const result=quickPlay(ws,name,msg.mode);
+        if(result.error){sendError(ws,result.code,result.error);return;}
+        sendRoomJoined(ws,result.room,result.player);
+        updateQuickStart(result.room);
+        break;
+      }
+      case 'spectateRoom':{
+        if(room)return;
+        const code=msg.roomCode.toUpperCase();
+        if(!allowPasswordAttempt(ws,code,now))return;
+        const result=spectateRoom(ws,code,sanitizeName(msg.name)||'Spectator',msg.password);
+        if(result.error){sendError(ws,result.code,result.error);return;}
+        const r=result.room;
+        ws.send(JSON.stringify({type:'spectating',roomCode:code,spectatorId:result.spectator.id,players:getPlayers(r),
+          mode:r.mode,state:r.state,hostId:r.hostId,settings:r.settings,map:publicMap(r.arena),spectatorCount:r.spectators.size}));
+        if(r.state==='playing')ws.send(JSON.stringify(gameStateMessage(r)));
+        broadcastToRoom(r,{type:'spectatorsChanged',spectatorCount:r.spectators.size},ws);
+        break;
+      }
+      case 'takeSlot':{
+        // A spectator accepting a slotOffered once the room is back in the lobby
+        if(!room||!clientToSpectator.has(ws))return;
+        const spectator=room.spectators.get(clientToSpectator.get(ws));
+        removeSpectator(ws);
+        const result=joinRoom(ws,roomCode,spectator.name);
+        if(result.error){
+          spectateRoom(ws,roomCode,spectator.name);
+          sendError(ws,result.code,result.error);return;
+        }
+        sendRoomJoined(ws,room,result.player);
+        break;
+      }
+      case 'resumeSession':{
+        if(room)return;
+        const code=msg.roomCode.toUpperCase();
+        const result=resumeSession(ws,code,msg.playerId,msg.resumeToken);
+        if(result.error){sendError(ws,result.code,result.error);return;}
+        const{room:r,player:p}=result;
+        ws.send(JSON.stringify({type:'sessionResumed',roomCode:code,playerId:p.id,players:getPlayers(r),color:p.color,
+          mode:r.mode,isPublic:r.isPublic,state:r.state,hostId:r.hostId,settings:r.settings,map:publicMap(r.arena),series:seriesSummary(r),resumeToken:p.resumeToken}));
+        if(r.state==='playing')ws.send(JSON.stringify(gameStateMessage(r)));
+        broadcastToRoom(r,{type:'playerReconnected',playerId:p.id,players:getPlayers(r)},ws);
         break;
       }
       case 'setMode':{
         if(!room||room.state!=='waiting'||room.hostId!==playerId)return;
-        if(msg.mode==='classic'||msg.mode==='zombie'){
-          room.mode=msg.mode;
+        if(room.series&&!room.series.done){sendError(ws,'MODE_LOCKED','The series rotation sets the mode');return;}
+        if(room.players.size>maxPlayers(room,msg.mode)){sendError(ws,'ROOM_FULL','Too many players for that mode');return;}
+        applyMode(room,msg.mode);
+        broadcastToRoom(room,{type:'modeChanged',mode:room.mode,players:getPlayers(room)});
+        break;
+      }
+      case 'setSeries':{
+        if(!room||room.state!=='waiting'||room.hostId!==playerId)return;
+        if(msg.series!==null&&room.series&&room.series.round>0&&!room.series.done){sendError(ws,'SERIES_IN_PROGRESS','Series already under way');return;}
+        const result=validateSeries(room,msg.series);
+        if(result.error){sendError(ws,'INVALID_SERIES',result.error);return;}
+        room.series=result.series;
+        if(room.series&&room.mode!==room.series.rotation[0]){
+          applyMode(room,room.series.rotation[0]);
           broadcastToRoom(room,{type:'modeChanged',mode:room.mode,players:getPlayers(room)});
         }
+        broadcastToRoom(room,{type:'seriesChanged',series:seriesSummary(room)});
+        break;
+      }
+      case 'setSettings':{
+        if(!room||room.state!=='waiting'||room.hostId!==playerId)return;
+        const result=validateSettings(room.settings,msg.settings);
+        if(result.error){sendError(ws,'INVALID_SETTINGS',result.error);return;}
+        const prev=room.settings;room.settings=result.settings;
+        if(room.players.size>maxPlayers(room)){room.settings=prev;sendError(ws,'INVALID_SETTINGS','More players in the room than that limit allows');return;}
+        broadcastToRoom(room,{type:'settingsChanged',settings:room.settings});
+        break;
+      }
+      case 'setMap':{
+        if(!room||room.state!=='waiting'||room.hostId!==playerId)return;
+        const arena=ARENAS.get(msg.mapId);
+        if(!arena){sendError(ws,'UNKNOWN_MAP','Unknown map');return;}
+        room.arena=arena;
+        broadcastToRoom(room,{type:'mapChanged',map:publicMap(arena)});
         break;
       }
       case 'setVisibility':{
@@ -813,34 +3084,96 @@ wss.on('connection',ws=>{
         ws.send(JSON.stringify({type:'visibilityChanged',isPublic:room.isPublic}));
         break;
       }
+      case 'setPassword':{
+        if(!room||room.hostId!==playerId)return;
+        room.password=msg.password?hashPassword(msg.password):null;
+        room.admitted=new WeakSet(roomSockets(room)); // whoever's already inside stays admitted
+        broadcastToRoom(room,{type:'passwordChanged',locked:!!room.password});
+        break;
+      }
+      case 'chat':{
+        if(!room||!player)return;
+        const err=sendChat(room,player,msg.text,now);
+        if(err)sendError(ws,err.code,err.error);
+        break;
+      }
+      case 'emote':{
+        if(!room||!player)return;
+        const err=sendEmote(room,player,msg.emote,now);
+        if(err)sendError(ws,err.code,err.error);
+        break;
+      }
+      case 'mutePlayer':{
+        if(!room||room.hostId!==playerId)return;
+        const target=room.players.get(msg.playerId);
+        if(!target||target.isBot||target.id===playerId)return;
+        target.muted=msg.muted!==false;
+        broadcastToRoom(room,{type:'playerMuted',playerId:target.id,muted:target.muted,players:getPlayers(room)});
+        break;
+      }
+      case 'setReady':{
+        if(!room||!player||room.state!=='waiting')return;
+        player.ready=typeof msg.ready==='boolean'?msg.ready:!player.ready;
+        broadcastToRoom(room,{type:'readyChanged',playerId:player.id,ready:player.ready,players:getPlayers(room)});
+        break;
+      }
+      case 'kickPlayer':
+      case 'banPlayer':{
+        if(!room||room.hostId!==playerId)return;
+        const target=room.players.get(msg.playerId);
+        if(!target||target.isBot||target.id===playerId)return;
+        const reason=typeof msg.reason==='string'&&msg.reason.trim()?msg.reason.trim().slice(0,CHAT_MAX_LENGTH):(msg.type==='banPlayer'?'Banned by host':'Kicked by host');
+        if(msg.type==='banPlayer')banPlayer(roomCode,target,reason);
+        else kickPlayer(roomCode,target,reason);
+        break;
+      }
+      case 'setTeam':{
+        // Players pick their own team; the host may also move anyone (bots included)
+        if(!room||!player||room.state!=='waiting'||room.mode!=='teams'||!Object.hasOwn(TEAMS,msg.team))return;
+        const target=msg.playerId&&room.hostId===playerId?room.players.get(msg.playerId):player;
+        if(!target)return;
+        target.team=target.lobbyTeam=msg.team;
+        broadcastToRoom(room,{type:'teamsChanged',players:getPlayers(room)});
+        break;
+      }
+      case 'balanceTeams':{
+        if(!room||room.state!=='waiting'||room.mode!=='teams'||room.hostId!==playerId)return;
+        assignTeams(room,true);
+        broadcastToRoom(room,{type:'teamsChanged',players:getPlayers(room)});
+        break;
+      }
+      case 'transferHost':{
+        if(!room||room.hostId!==playerId)return;
+        const target=room.players.get(msg.playerId);
+        if(!target||target.isBot||target.id===playerId||target.disconnected){sendError(ws,'INVALID_TARGET','Cannot transfer host to that player');return;}
+        setHost(room,target);
+        break;
+      }
+      case 'getLeaderboard':{
+        const limit=Number.isInteger(msg.limit)?Math.max(1,Math.min(100,msg.limit)):20;
+        const offset=Number.isInteger(msg.offset)?Math.max(0,msg.offset):0;
+        ws.send(JSON.stringify({type:'leaderboard',...queryLeaderboard({mode:msg.mode,window:msg.window,sort:msg.sort,limit,offset})}));
+        break;
+      }
+      case 'getAchievements':{
+        // Defaults to the asking player's own name
+        const name=msg.name||(player&&player.name);
+        if(!name){sendError(ws,'INVALID_NAME','Name is required');return;}
+        const result=listAchievements(name);
+        if(!result){sendError(ws,'PLAYER_NOT_FOUND','No finished matches on record for that name');return;}
+        ws.send(JSON.stringify({type:'achievements',...result}));
+        break;
+      }
       case 'browseRooms':{
-        const publicRooms=[];
-        rooms.forEach((r,code)=>{
-          if(!r.isPublic||r.state!=='waiting')return;
-          const max=r.mode==='zombie'?MAX_PLAYERS_ZOMBIE:MAX_PLAYERS_CLASSIC;
-          const humanCount=Array.from(r.players.values()).filter(p=>!p.isBot).length;
-          const botCount=Array.from(r.players.values()).filter(p=>p.isBot).length;
-          if(humanCount>=max)return;
-          const host=r.players.get(r.hostId);
-          publicRooms.push({
-            code,
-            hostName: host?host.name:'Unknown',
-            mode: r.mode,
-            playerCount: r.players.size,
-            humanCount,
-            botCount,
-            maxPlayers: max,
-            openSlots: max - r.players.size,
-          });
-        });
-        ws.send(JSON.stringify({type:'roomList',rooms:publicRooms}));
+        ws.send(JSON.stringify({type:'roomList',rooms:listPublicRooms()}));
         break;
       }
       case 'addBot':{
         if(!room||room.state!=='waiting'||room.hostId!==playerId)return;
-        const diff=['easy','medium','hard'].includes(msg.difficulty)?msg.difficulty:'medium';
-        const bot=addBot(room,diff);
-        if(!bot){ws.send(JSON.stringify({type:'error',message:'Room is full'}));return;}
+        const diff=BOT_DIFFICULTIES.includes(msg.difficulty)?msg.difficulty:'medium';
+        if(msg.strategy&&!getStrategy(msg.strategy)){sendError(ws,'UNKNOWN_STRATEGY',`No bot strategy called ${msg.strategy}`);return;}
+        const bot=addBot(room,diff,msg.strategy||null);
+        if(!bot){sendError(ws,'ROOM_FULL','Room is full');return;}
         broadcastToRoom(room,{type:'playerJoined',players:getPlayers(room)});
         break;
       }
@@ -852,45 +3185,87 @@ wss.on('connection',ws=>{
       }
       case 'startGame':{
         if(!room||(room.state!=='waiting'&&room.state!=='ended')||room.hostId!==playerId)return;
-        if(room.players.size<2){ws.send(JSON.stringify({type:'error',message:'Need at least 2 players to start'}));return;}
-        startCountdown(roomCode);break;
+        if(room.players.size<2){sendError(ws,'NOT_ENOUGH_PLAYERS','Need at least 2 players to start');return;}
+        if(room.settings.requireReady){
+          const waiting=Array.from(room.players.values()).filter(p=>!p.isBot&&p.id!==room.hostId&&!p.ready);
+          if(waiting.length){sendError(ws,'PLAYERS_NOT_READY',`Waiting for ${waiting.map(p=>p.name).join(', ')} to ready up`);return;}
+        }
+        startCountdown(roomCode,msg.seed);break;
       }
       case 'playAgain':{
-        if(!room||room.state!=='ended')return;
-        if(room.cleanupTimer){clearTimeout(room.cleanupTimer);room.cleanupTimer=null;}
+        if(!room||!player||room.state!=='ended')return;
+        if(room.cleanupTimer){room.clock.clearTimeout(room.cleanupTimer);room.cleanupTimer=null;}
         room.state='waiting';room.itPlayerId=null;room.firstTaggedId=null;
         room.eliminationOrder=[];room.zombieGameDone=false;
-        room.players.forEach(p=>resetPlayer(p));
-        broadcastToRoom(room,{type:'playAgain',players:getPlayers(room),mode:room.mode});
+        room.players.forEach(p=>resetPlayer(p,room.rng));
+        if(room.series){
+          if(room.series.done)room.series=newSeries(room.series);
+          const next=room.series.rotation[room.series.round%room.series.rotation.length];
+          applyMode(room,room.players.size<=maxPlayers(room,next)?next:room.mode);
+        }
+        broadcastToRoom(room,{type:'playAgain',players:getPlayers(room),mode:room.mode,series:seriesSummary(room)});
+        const openSlots=maxPlayers(room)-room.players.size;
+        if(openSlots>0)room.spectators.forEach(s=>{if(s.ws.readyState===WebSocket.OPEN)s.ws.send(JSON.stringify({type:'slotOffered',openSlots}));});
+        updateQuickStart(room);
+        break;
+      }
+      case 'watchReplay':{
+        if(room&&room.state==='playing')return;
+        const speed=typeof msg.speed==='number'&&Number.isFinite(msg.speed)?Math.max(0.25,Math.min(8,msg.speed)):1;
+        loadReplay(msg.matchId,(err,replay)=>{
+          if(err){sendError(ws,'REPLAY_UNAVAILABLE',err.message);return;}
+          streamReplay(ws,replay,speed);
+        });
+        break;
+      }
+      case 'stopReplay':{
+        stopReplay(ws);
         break;
       }
       case 'move':{
         if(!player||!room||(room.state!=='playing'&&room.state!=='countdown'))return;
-        player.x=Math.max(0,Math.min(100,msg.x));player.y=Math.max(0,Math.min(100,msg.y));player.lastMoveTime=Date.now();
+        if(player.isFrozen)return;
+        const moveAt=room.clock.now(),fromX=player.x,fromY=player.y,moved=applyMove(player,msg.x,msg.y,moveAt,room.state==='countdown');
+        if(moved!=='ignored'&&room.arena.walls.length){const p=resolveMove(room.arena,fromX,fromY,player.x,player.y);player.x=p.x;player.y=p.y;}
+        if(moved!=='ignored'){noteViewLag(player,msg.t,moveAt);if(room.state==='playing')recordTrail(player,moveAt);}
+        if(moved==='clamped'&&player.recentViolations.length>=MOVE_VIOLATION_KICK){
+          console.warn(`Kicking ${player.name} (${player.id}) for repeated movement violations`);
+          kickPlayer(roomCode,player,'Movement violations');
+        }
         break;
       }
     }
   });
   ws.on('close',()=>{
+    untrackConnection(ws);
+    stopReplay(ws);
+    if(clientToSpectator.has(ws)){removeSpectator(ws);console.log('Client disconnected');return;}
     const roomCode=clientToRoom.get(ws),playerId=clientToPlayer.get(ws);
     if(roomCode&&playerId){
       const room=rooms.get(roomCode);
-      if(room){
-        room.players.delete(playerId);
-        if(room.players.size===0||Array.from(room.players.values()).every(p=>p.isBot)){
-          clearInterval(room.stateInterval);clearTimeout(room.gameTimer);rooms.delete(roomCode);
-        } else {
-          if(room.state==='playing'&&room.mode==='classic'&&room.itPlayerId===playerId){
-            const rem=Array.from(room.players.values());
-            const ni=rem[Math.floor(Math.random()*rem.length)];
-            ni.isIt=true;ni.wasEverIt=true;ni.becameItAt=Date.now();ni.currentItStart=Date.now();room.itPlayerId=ni.id;
-          }
-          broadcastToRoom(room,{type:'playerLeft',players:getPlayers(room)});
-        }
-      }
+      const player=room?room.players.get(playerId):null;
+      if(player)disconnectPlayer(roomCode,player);
     }
     clientToRoom.delete(ws);clientToPlayer.delete(ws);console.log('Client disconnected');
   });
 });
 
+if(BOT_STRATEGY_DIR)loadStrategyDir(BOT_STRATEGY_DIR);
+
+// node server.js --headless [--mode=zombie] [--map=pillars] [--bots=hard,easy:herder,medium] [--seed=42]
+// runs one match, prints the result as JSON and exits instead of serving
+if(process.argv.includes('--headless')){
+  const args=Object.fromEntries(process.argv.slice(2).filter(a=>/^--\w+=/.test(a)).map(a=>a.slice(2).split('=')));
+  const result=runHeadlessMatch({
+    mode:args.mode, mapId:args.map, bots:args.bots?args.bots.split(','):undefined,
+    seed:args.seed!==undefined?Number(args.seed):undefined,
+  });
+  console.log(JSON.stringify(result,null,2));
+  store.close();process.exit(result.error?1:0);
+}
+
+importLegacyLeaderboard();
+process.on('SIGINT',()=>{store.close();process.exit(0);});
+process.on('SIGTERM',()=>{store.close();process.exit(0);});
+
 httpServer.listen(PORT,'0.0.0.0',()=>console.log(`Cursor Tag server running on port ${PORT}`));
@@ -0,0 +1,32 @@
+// ─── Storage ──────────────────────────────────────────────────────────────────
+// Every backend exposes the same synchronous interface:
+//
+//   transaction(fn)                       run fn() with writes batched/atomic
+//   getLeaderboardEntry(board, name)      -> entry | null
+//   putLeaderboardEntry(board, entry)     entry.name identifies it (case-insensitive)
+//   listLeaderboard(board, { sort, limit, offset }) -> { total, entries }
+//   pruneLeaderboards(keep)               drop every board for which keep(board) is false
+//   getProfile(name)                      -> profile | null
+//   putProfile(profile)
+//   addMatch(match)                       match.matchId, match.endedAt, match.players[].{name,isBot}
+//   getMatch(matchId)                     -> match | null
+//   listMatches({ player, limit, offset }) -> matches, newest first (player = human name)
+//   close()
+//
+// `board` is an opaque string — the server uses "<mode>:<window>:<period>".
+
+const path = require('path');
+
+function createStorage({ backend='json', dir }) {
+  if (backend==='sqlite') return require('./sqlite').createSqliteStorage(path.join(dir, 'cursor-tag.db'));
+  if (backend==='json') return require('./json').createJsonStorage(path.join(dir, 'cursor-tag.json'));
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+// Sort keys are interpolated into queries by some backends — only plain stat names are allowed
+function checkSortKey(sort) {
+  if (!/^[A-Za-z]+$/.test(sort)) throw new Error(`Invalid sort key: ${sort}`);
+  return sort;
+}
+
+module.exports = { createStorage, checkSortKey };
@@ -0,0 +1,106 @@
+// ─── JSON Storage ─────────────────────────────────────────────────────────────
+// Whole dataset lives in memory and is written back with write-to-temp + rename,
+// so a crash mid-write leaves the previous file intact.
+const fs = require('fs');
+const path = require('path');
+const { checkSortKey } = require('./index');
+
+const MAX_MATCHES = 5000; // oldest match records are dropped past this
+
+function emptyData() { return { version:1, leaderboards:{}, profiles:{}, matches:[] }; }
+
+function loadData(file) {
+  if (!fs.existsSync(file)) return emptyData();
+  try {
+    return { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    // Keep the unreadable file around rather than overwriting it on the next save
+    const aside = `${file}.corrupt-${Date.now()}`;
+    console.error(`Storage file ${file} is unreadable (${err.message}); moved to ${aside}`);
+    try { fs.renameSync(file, aside); } catch {}
+    return emptyData();
+  }
+}
+
+function writeAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try { fs.writeSync(fd, contents); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+  fs.renameSync(tmp, file);
+}
+
+function createJsonStorage(file) {
+  fs.mkdirSync(path.dirname(file), { recursive:true });
+  let data = loadData(file), snapshot = null;
+  let depth = 0, dirty = false;
+
+  function save() {
+    if (depth>0) { dirty = true; return; }
+    dirty = false;
+    try { writeAtomic(file, JSON.stringify(data)); }
+    catch (err) { console.error('Storage save error:', err.message); }
+  }
+  const key = name => name.toLowerCase();
+
+  return {
+    // The outermost transaction keeps a copy to roll back to, so a throw
+    // leaves neither memory nor the file half-updated
+    transaction(fn) {
+      if (depth===0) snapshot = structuredClone(data);
+      depth++;
+      try {
+        const result = fn();
+        depth--;
+        if (depth===0) { snapshot = null; if (dirty) save(); }
+        return result;
+      } catch (err) {
+        depth--;
+        if (depth===0) { data = snapshot; snapshot = null; dirty = false; }
+        throw err;
+      }
+    },
+    getLeaderboardEntry(board, name) {
+      const b = data.leaderboards[board];
+      return b && b[key(name)] ? { ...b[key(name)] } : null;
+    },
+    putLeaderboardEntry(board, entry) {
+      (data.leaderboards[board] = data.leaderboards[board] || {})[key(entry.name)] = { ...entry };
+      save();
+    },
+    pruneLeaderboards(keep) {
+      const stale = Object.keys(data.leaderboards).filter(board=>!keep(board));
+      stale.forEach(board=>{ delete data.leaderboards[board]; });
+      if (stale.length) save();
+    },
+    listLeaderboard(board, { sort='bestScore', limit=20, offset=0 }={}) {
+      checkSortKey(sort);
+      const all = Object.values(data.leaderboards[board] || {})
+        .sort((a,b)=>(b[sort]||0)-(a[sort]||0)||(b.bestScore||0)-(a.bestScore||0));
+      return { total:all.length, entries:all.slice(offset, offset+limit).map(e=>({ ...e })) };
+    },
+    getProfile(name) {
+      const p = data.profiles[key(name)];
+      return p ? { ...p } : null;
+    },
+    putProfile(profile) {
+      data.profiles[key(profile.name)] = { ...profile };
+      save();
+    },
+    addMatch(match) {
+      data.matches.push(match);
+      if (data.matches.length>MAX_MATCHES) data.matches.splice(0, data.matches.length-MAX_MATCHES);
+      save();
+    },
+    getMatch(matchId) {
+      return data.matches.find(m=>m.matchId===matchId) || null;
+    },
+    listMatches({ player=null, limit=20, offset=0 }={}) {
+      const k = player ? key(player) : null;
+      const list = data.matches.filter(m=>!k || m.players.some(p=>!p.isBot && key(p.name)===k));
+      return list.reverse().slice(offset, offset+limit);
+    },
+    close() { if (dirty) { depth = 0; save(); } },
+  };
+}
+
+module.exports = { createJsonStorage };
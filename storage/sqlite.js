@@ -0,0 +1,82 @@
+// ─── SQLite Storage ───────────────────────────────────────────────────────────
+// Embedded database via better-sqlite3 (an optional dependency). Records are
+// stored as JSON documents with the lookup keys pulled out into columns.
+const fs = require('fs');
+const path = require('path');
+const { checkSortKey } = require('./index');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS leaderboard (
+    board TEXT NOT NULL, name_key TEXT NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (board, name_key)
+  );
+  CREATE TABLE IF NOT EXISTS profiles (name_key TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS matches (
+    match_id TEXT PRIMARY KEY, ended_at INTEGER NOT NULL, data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS matches_ended_at ON matches (ended_at);
+  CREATE TABLE IF NOT EXISTS match_players (
+    match_id TEXT NOT NULL, name_key TEXT NOT NULL, PRIMARY KEY (match_id, name_key)
+  );
+  CREATE INDEX IF NOT EXISTS match_players_name ON match_players (name_key);
+`;
+
+function createSqliteStorage(file) {
+  let Database;
+  try { Database = require('better-sqlite3'); }
+  catch { throw new Error('SQLite storage needs the better-sqlite3 package — run npm install better-sqlite3'); }
+  fs.mkdirSync(path.dirname(file), { recursive:true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const key = name => name.toLowerCase();
+  const stmt = {
+    getEntry:    db.prepare('SELECT data FROM leaderboard WHERE board = ? AND name_key = ?'),
+    putEntry:    db.prepare('INSERT OR REPLACE INTO leaderboard (board, name_key, data) VALUES (?, ?, ?)'),
+    countBoard:  db.prepare('SELECT COUNT(*) AS n FROM leaderboard WHERE board = ?'),
+    listBoards:  db.prepare('SELECT DISTINCT board FROM leaderboard'),
+    dropBoard:   db.prepare('DELETE FROM leaderboard WHERE board = ?'),
+    getProfile:  db.prepare('SELECT data FROM profiles WHERE name_key = ?'),
+    putProfile:  db.prepare('INSERT OR REPLACE INTO profiles (name_key, data) VALUES (?, ?)'),
+    addMatch:    db.prepare('INSERT OR REPLACE INTO matches (match_id, ended_at, data) VALUES (?, ?, ?)'),
+    addPlayer:   db.prepare('INSERT OR IGNORE INTO match_players (match_id, name_key) VALUES (?, ?)'),
+    getMatch:    db.prepare('SELECT data FROM matches WHERE match_id = ?'),
+    listMatches: db.prepare('SELECT data FROM matches ORDER BY ended_at DESC LIMIT ? OFFSET ?'),
+    listPlayerMatches: db.prepare(`SELECT m.data FROM matches m JOIN match_players mp ON mp.match_id = m.match_id
+      WHERE mp.name_key = ? ORDER BY m.ended_at DESC LIMIT ? OFFSET ?`),
+  };
+  const parse = row => row ? JSON.parse(row.data) : null;
+
+  return {
+    transaction(fn) { return db.transaction(fn)(); },
+    getLeaderboardEntry(board, name) { return parse(stmt.getEntry.get(board, key(name))); },
+    putLeaderboardEntry(board, entry) { stmt.putEntry.run(board, key(entry.name), JSON.stringify(entry)); },
+    pruneLeaderboards(keep) {
+      stmt.listBoards.all().forEach(({ board }) => { if (!keep(board)) stmt.dropBoard.run(board); });
+    },
+    listLeaderboard(board, { sort='bestScore', limit=20, offset=0 }={}) {
+      checkSortKey(sort);
+      const rows = db.prepare(`SELECT data FROM leaderboard WHERE board = ?
+        ORDER BY COALESCE(json_extract(data, '$.${sort}'), 0) DESC, COALESCE(json_extract(data, '$.bestScore'), 0) DESC
+        LIMIT ? OFFSET ?`).all(board, limit, offset);
+      return { total:stmt.countBoard.get(board).n, entries:rows.map(parse) };
+    },
+    getProfile(name) { return parse(stmt.getProfile.get(key(name))); },
+    putProfile(profile) { stmt.putProfile.run(key(profile.name), JSON.stringify(profile)); },
+    addMatch(match) {
+      db.transaction(() => {
+        stmt.addMatch.run(match.matchId, match.endedAt, JSON.stringify(match));
+        match.players.filter(p => !p.isBot).forEach(p => stmt.addPlayer.run(match.matchId, key(p.name)));
+      })();
+    },
+    getMatch(matchId) { return parse(stmt.getMatch.get(matchId)); },
+    listMatches({ player=null, limit=20, offset=0 }={}) {
+      const rows = player ? stmt.listPlayerMatches.all(key(player), limit, offset) : stmt.listMatches.all(limit, offset);
+      return rows.map(parse);
+    },
+    close() { db.close(); },
+  };
+}
+
+module.exports = { createSqliteStorage };